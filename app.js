@@ -1,148 +1,203 @@
 // 错误处理增强版
 class DistortionEngine {
-    constructor() {
-        this.audioContext = null;
+    // 传入 loader 可与界面共用解码缓存；批量处理时每个引擎各用一个
+    constructor(loader = new AudioLoader()) {
+        this.loader = loader;
+        this.currentJob = null;
+        this.aborted = false;
+        this.processedBuffer = null;
+        this.loudness = null; // 最近一次结果的响度测量 { input, output }
     }
 
-    async addDistortion(file, settings, onProgress) {
+    // exportOptions 见 bufferToWav
+    async addDistortion(file, settings, onProgress, exportOptions = {}) {
         try {
-            // 1. 文件验证
-            this.validateFile(file);
+            this.loudness = null;
+            this.aborted = false;
+
+            // 1. 文件验证：试解码可能要几秒，期间也可以取消
+            await this.loader.validateFile(file);
+            if (this.aborted) throw AudioLoader.createAbortError();
             
             // 2. 创建音频上下文（用户交互后）
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            }
+            this.loader.ensureContext();
 
             // 3. 开始处理
             onProgress(0);
-            const audioBuffer = await this.fileToAudioBuffer(file);
+
+            // 大文件分段处理，结果不留在内存里，无法试听或重新导出
+            if (this.loader.shouldStream(file)) {
+                this.processedBuffer = null;
+                const blob = await this.processStream(file, DamageDSP.normalizeSettings(settings), exportOptions, onProgress);
+                onProgress(100);
+                return blob;
+            }
+
+            const audioBuffer = await this.loader.decodeFile(file);
+            if (this.aborted) throw AudioLoader.createAbortError();
             onProgress(20);
 
             // 4. 处理音频
-            const processedBuffer = await this.processAudioBuffer(audioBuffer, settings, onProgress);
+            const processedBuffer = await this.processAudioBuffer(
+                audioBuffer,
+                DamageDSP.normalizeSettings(settings),
+                onProgress
+            );
+            this.processedBuffer = processedBuffer;
             onProgress(100);
 
-            return this.bufferToWav(processedBuffer);
+            return this.bufferToWav(processedBuffer, exportOptions, this.loudness.input);
 
         } catch (error) {
             throw this.createUserFriendlyError(error);
         }
     }
 
-    validateFile(file) {
-        // 文件大小检查
-        const MAX_SIZE = 50 * 1024 * 1024; // 50MB
-        if (file.size > MAX_SIZE) {
-            throw new Error(`文件过大 (${(file.size/1024/1024).toFixed(1)}MB)，请选择小于50MB的音频`);
-        }
-
-        // 文件类型检查
-        const supportedTypes = ['audio/mp3', 'audio/wav', 'audio/flac', 'audio/m4a', 'audio/ogg', 'audio/wave'];
-        if (!file.type || !file.type.startsWith('audio/')) {
-            throw new Error(`不支持的文件类型: ${file.type}，请使用MP3/WAV/FLAC/M4A/OGG`);
-        }
+    clearCache() {
+        this.loader.clearCache();
+        this.processedBuffer = null;
     }
 
-    fileToAudioBuffer(file) {
+    processAudioBuffer(buffer, settings, onProgress) {
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    this.audioContext.decodeAudioData(e.target.result)
-                        .then(resolve)
-                        .catch((err) => {
-                            reject(new Error(`音频解码失败: ${err.message || '文件可能损坏'}`));
-                        });
-                } catch (decodeError) {
-                    reject(new Error('浏览器不支持该音频编码'));
+            // 复制声道数据，以可转移的 Float32Array 交给 Worker
+            const channels = [];
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                channels.push(new Float32Array(buffer.getChannelData(channel)));
+            }
+
+            const worker = new Worker('distortion-worker.js');
+            this.currentJob = { worker, reject };
+
+            worker.onmessage = (e) => {
+                const data = e.data;
+                if (data.type === 'progress') {
+                    onProgress(20 + data.progress * 80);
+                    return;
                 }
+
+                this.finishJob();
+                this.loudness = { input: data.input, output: null };
+                const processedBuffer = this.loader.audioContext.createBuffer(
+                    buffer.numberOfChannels,
+                    buffer.length,
+                    buffer.sampleRate
+                );
+                data.channels.forEach((channelData, channel) => {
+                    processedBuffer.copyToChannel(channelData, channel);
+                });
+                resolve(processedBuffer);
             };
-            
-            reader.onerror = () => reject(new Error('文件读取失败'));
-            reader.onabort = () => reject(new Error('读取被取消'));
-            reader.readAsArrayBuffer(file);
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                this.finishJob();
+                reject(new Error(`后台处理失败: ${e.message || '未知错误'}`));
+            };
+
+            worker.postMessage(
+                { channels, settings, sampleRate: buffer.sampleRate },
+                channels.map(data => data.buffer)
+            );
         });
     }
 
-    processAudioBuffer(buffer, settings, onProgress) {
-        const processedBuffer = this.audioContext.createBuffer(
-            buffer.numberOfChannels,
-            buffer.length,
-            buffer.sampleRate
-        );
+    // 逐段读取 → Worker 处理并编码 → 拼成 Blob；归一化与响度匹配需要先跑一遍只做测量
+    async processStream(file, settings, exportOptions, onProgress) {
+        const source = await this.loader.openSegments(file);
+        if (this.aborted) throw AudioLoader.createAbortError();
 
-        // 分批次处理避免阻塞
-        const batchSize = 4096;
-        const totalBatches = Math.ceil(buffer.length / batchSize);
+        const outputRate = exportOptions.sampleRate || source.sampleRate;
+        const outputChannels = exportOptions.mono ? 1 : source.numberOfChannels;
+        const estimate = source.length * outputRate / source.sampleRate * outputChannels * (exportOptions.bitDepth || 16) / 8;
+        if (estimate > 0xFFFFFFFF - 1024 * 1024) {
+            throw new Error('输出超过 WAV 格式的 4GB 上限，请降低位深或采样率');
+        }
 
-        for (let batch = 0; batch < totalBatches; batch++) {
-            const start = batch * batchSize;
-            const end = Math.min(start + batchSize, buffer.length);
+        const passes = ['normalize', 'match'].includes(exportOptions.level) ? 2 : 1;
+        let gain = 1;
 
-            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-                const inputData = buffer.getChannelData(channel);
-                const outputData = processedBuffer.getChannelData(channel);
-
-                for (let i = start; i < end; i++) {
-                    let sample = inputData[i];
-                    
-                    // 应用损坏程度
-                    sample = this.applyDamageLevel(sample, settings);
-                    
-                    // 额外效果
-                    if (settings.noise) {
-                        sample += (Math.random() - 0.5) * 0.05 * settings.intensity;
-                    }
-                    if (settings.crackle && Math.random() < 0.001 * settings.intensity) {
-                        sample = (Math.random() - 0.5) * 2;
-                    }
-                    
-                    outputData[i] = Math.max(-1, Math.min(1, sample));
-                }
+        for (let pass = 0; pass < passes; pass++) {
+            const measureOnly = passes === 2 && pass === 0;
+            const result = await this.runStreamPass(source, {
+                settings,
+                sampleRate: source.sampleRate,
+                numberOfChannels: source.numberOfChannels,
+                length: source.length,
+                exportOptions,
+                gain,
+                measureOnly
+            }, (progress) => onProgress((pass + progress) / passes * 100));
+
+            if (!measureOnly) {
+                this.loudness = { input: result.loudness.input, output: result.loudness.output };
+                return result.blob;
             }
-            
-            onProgress(20 + (batch / totalBatches) * 80);
+            gain = exportOptions.level === 'match'
+                ? DamageDSP.matchGain(result.loudness.input, result.loudness.rendered)
+                : result.peak > 0 ? (exportOptions.ceiling || 0.98) / result.peak : 1;
+        }
+    }
+
+    async runStreamPass(source, options, onProgress) {
+        const worker = new Worker('distortion-worker.js');
+        const parts = [];
+        let read = 0;
+
+        try {
+            await this.callWorker(worker, { type: 'stream-start', ...options });
+            for await (const channels of source.segments()) {
+                const reply = await this.callWorker(worker, { type: 'stream-chunk', channels }, channels.map(data => data.buffer));
+                if (reply.bytes.byteLength) parts.push(reply.bytes);
+                read += channels[0].length;
+                onProgress(Math.min(1, read / source.length));
+            }
+
+            const { bytes, header, peak, loudness } = await this.callWorker(worker, { type: 'stream-end' });
+            if (options.measureOnly) return { peak, loudness };
+            return { blob: new Blob([header, ...parts, bytes], { type: 'audio/wav' }), loudness };
+        } finally {
+            this.finishJob();
         }
+    }
+
+    // 发一条消息并等待 Worker 的回复；取消时由 cancel() 拒绝
+    callWorker(worker, message, transfer = []) {
+        return new Promise((resolve, reject) => {
+            if (this.aborted) {
+                reject(AudioLoader.createAbortError());
+                return;
+            }
 
-        return processedBuffer;
+            this.currentJob = { worker, reject };
+            worker.onmessage = (e) => resolve(e.data);
+            worker.onerror = (e) => {
+                e.preventDefault();
+                reject(new Error(`后台处理失败: ${e.message || '未知错误'}`));
+            };
+            worker.postMessage(message, transfer);
+        });
     }
 
-    applyDamageLevel(sample, settings) {
-        const intensity = settings.intensity * 0.3;
-        
-        switch (settings.type) {
-            case 'digital':
-                return Math.tanh(sample * intensity);
-                
-            case 'analog':
-                return Math.sin(sample * intensity * Math.PI * 0.5);
-                
-            case 'crushed':
-                // 动态位深压缩
-                const bits = Math.max(1, 16 - intensity);
-                const levels = Math.pow(2, bits);
-                return Math.round(sample * levels) / levels;
-                
-            case 'radio':
-                // 收音机失真 + 带通
-                const radioSample = Math.sin(sample * intensity * 2);
-                return Math.max(-0.7, Math.min(0.7, radioSample));
-                
-            case 'glitch':
-                // 随机故障
-                if (Math.random() < 0.005 * intensity) {
-                    return (Math.random() - 0.5) * 2;
-                }
-                return sample;
-                
-            default:
-                return sample;
+    // 取消当前任务：直接终止 Worker，逐样本循环无需让出
+    cancel() {
+        this.aborted = true;
+        if (!this.currentJob) return;
+
+        const { reject } = this.currentJob;
+        this.finishJob();
+        reject(AudioLoader.createAbortError());
+    }
+
+    finishJob() {
+        if (this.currentJob) {
+            this.currentJob.worker.terminate();
+            this.currentJob = null;
         }
     }
 
     createUserFriendlyError(error) {
+        if (error.name === 'AbortError') return error; // 用户主动取消
         if (error.message.includes('file')) return error; // 保持原始错误
         
         if (error.message.includes('decode')) {
@@ -156,55 +211,90 @@ class DistortionEngine {
         return new Error(`处理失败: ${error.message}`);
     }
 
-    bufferToWav(buffer) {
-        const length = buffer.length * buffer.numberOfChannels * 2;
-        const arrayBuffer = new ArrayBuffer(44 + length);
-        const view = new DataView(arrayBuffer);
-
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
-
-        writeString(0, 'RIFF');
-        view.setUint32(4, 36 + length, true);
-        writeString(8, 'WAVE');
-        writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
-        view.setUint16(22, buffer.numberOfChannels, true);
-        view.setUint32(24, buffer.sampleRate, true);
-        view.setUint32(28, buffer.sampleRate * buffer.numberOfChannels * 2, true);
-        view.setUint16(32, buffer.numberOfChannels * 2, true);
-        view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, length, true);
-
-        let offset = 44;
-        for (let i = 0; i < buffer.length; i++) {
-            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-                const sample = Math.max(-1, Math.min(1, buffer.getChannelData(channel)[i]));
-                view.setInt16(offset, sample * 0x7FFF, true);
-                offset += 2;
-            }
-        }
-
-        return new Blob([arrayBuffer], { type: 'audio/wav' });
+    // options: { bitDepth, sampleRate, mono, level, info }，缺省为原采样率的16位 PCM
+    // reference 为原始输入的响度测量，响度匹配（level 'match'）时需要；同时测量输出的响度
+    bufferToWav(buffer, options = {}, reference = null) {
+        const prepared = DamageDSP.prepareExport(WavCodec.channelsOf(buffer), buffer.sampleRate, { ...options, reference });
+        this.loudness = { input: reference, output: DamageDSP.measureLoudness(prepared.channels, prepared.sampleRate) };
+        const wav = WavCodec.encode(prepared.channels, prepared.sampleRate, options);
+        return new Blob([wav], { type: 'audio/wav' });
     }
 }
 
+// 新建脚本效果时的示例代码
+const SCRIPT_TEMPLATE = `// x 为输入样本（-1…1），返回处理后的样本
+// ctx.intensity 强度 1–10，ctx.sampleRate 采样率，ctx.random() 可复现的随机数，ctx.state 跨样本保存状态
+// 也可以改为定义 processBlock(block, ctx)，每次原地处理128个样本
+function process(x, ctx) {
+    const drive = ctx.intensity * 0.6;
+    return Math.sign(x) * (1 - Math.exp(-Math.abs(x) * drive));
+}
+`;
+
 // 增强版用户界面
 class DistortionUI {
     constructor() {
         this.selectedFile = null;
-        this.distortion = new DistortionEngine();
-        this.settings = { type: 'digital', intensity: 5, noise: false, crackle: false };
+        this.mode = 'distortion';
+        this.loader = new AudioLoader();
+        this.distortion = new DistortionEngine(this.loader);
+        this.compressor = new AudioCompressor(this.loader);
+        this.compressionLevel = 3;
+        this.processedBuffer = null;
+        this.exportOptions = { bitDepth: 16, sampleRate: null, mono: false, level: 'none' };
+        this.history = new RenderHistory();
+        this.recorder = new MicRecorder(this.loader);
+        this.recordFrame = 0;
+        this.live = new LiveDistortion(this.loader);
+        this.liveFrame = 0;
+        this.preview = new DistortionPreview(this.loader);
+        this.visualizer = null;
+        this.regionEditor = null;
+        this.automationEditor = null;
+        this.settings = {
+            seed: this.randomSeed(),
+            chain: [DamageDSP.createStage('digital', 5)],
+            regions: [],
+            fade: 0.02,
+            automation: DamageDSP.createAutomation(),
+            stereo: DamageDSP.createStereo(),
+            scripts: []
+        };
+        this.chainEditor = null;
+        this.compressionCurve = { enabled: false, points: DamageDSP.createCurve() };
+        this.curveEditor = null;
+        this.batch = new BatchProcessor(this.loader);
+        this.presets = new PresetManager();
+        this.batchRows = new Map();
+        this.library = new ProjectLibrary();
+        this.projectId = null;      // 当前文件所属的项目，未存入项目库时为 null
+        this.projectSource = null;  // 该项目的源文件，只有以它为输入的渲染才记入项目
+        this.projectSaving = null;  // 正在写入源文件的 Promise
+        this.projectRenders = [];   // 该项目已保存的全部渲染结果，按时间先后排列
+        this.libraryQuery = 0;      // 搜索结果按请求先后生效
+        this.seeking = false;
+        this.probingFile = null;
         this.init();
     }
 
     init() {
         this.setupElements();
+        this.visualizer = new AudioVisualizer(
+            document.getElementById('waveformCanvas'),
+            document.getElementById('spectrogramCanvas')
+        );
+        this.regionEditor = new RegionEditor(
+            document.getElementById('waveformCanvas'),
+            document.getElementById('regionList'),
+            (regions, committed) => {
+                this.visualizer.setRegions(regions, this.regionEditor.duration);
+                if (committed) this.onSettingsChanged();
+            },
+            (time) => {
+                this.preview.seek(time);
+                this.updatePreviewTime(time);
+            }
+        );
         this.bindEvents();
         this.setupErrorHandling();
     }
@@ -214,8 +304,24 @@ class DistortionUI {
         const elements = [
             'audioFile', 'uploadArea', 'fileInfo', 'controls', 'result',
             'progressContainer', 'fileName', 'fileType', 'fileSize', 'fileDuration',
-            'distortionType', 'intensitySlider', 'intensityValue', 'noiseCheck',
-            'crackleCheck', 'processBtn', 'progressText', 'progressFill', 'downloadBtn'
+            'effectChain', 'addEffectType', 'addEffectBtn', 'processBtn', 'progressText', 'progressFill', 'cancelBtn',
+            'downloadContainer', 'newFileSize', 'loudnessStats', 'downloadBtn', 'previewPanel', 'previewPlayBtn',
+            'previewABBtn', 'previewSeek', 'previewTime', 'visualPanel', 'waveformCanvas',
+            'spectrogramSource', 'spectrogramCanvas', 'seedInput', 'seedLock', 'seedRerollBtn',
+            'batchPanel', 'batchQueue', 'batchConcurrency', 'batchStartBtn', 'batchCancelBtn', 'batchZipBtn',
+            'presetSelect', 'presetSaveBtn', 'presetDeleteBtn', 'presetExportBtn', 'presetImportBtn',
+            'presetImportFile', 'presetShareBtn', 'regionList', 'fadeSlider', 'fadeValue',
+            'automationEnabled', 'automationCanvas', 'automationCurve', 'appContainer',
+            'distortionPanel', 'compressionPanel', 'qualitySlider', 'qualityValue', 'qualityDescription',
+            'compressionCurveEnabled', 'compressionCurveCanvas',
+            'scriptSelect', 'scriptDeleteBtn', 'scriptLabel', 'scriptCode', 'scriptSaveBtn', 'scriptStatus',
+            'exportBitDepth', 'exportSampleRate', 'exportLevel', 'exportMono',
+            'historyPanel', 'historyList', 'historyAudio', 'undoBtn', 'redoBtn',
+            'recordBtn', 'recordRetakeBtn', 'recordLevel', 'recordTime',
+            'stereoPanel', 'stereoMode', 'stereoIntensityA', 'stereoIntensityB', 'stereoDropout', 'stereoEarbud', 'stereoEarbudSide',
+            'libraryPanel', 'librarySearch', 'libraryList', 'libraryUsage',
+            'livePanel', 'liveBtn', 'liveABBtn', 'liveRecordBtn', 'liveLevel', 'liveStatus',
+            'liveGain', 'liveGainValue', 'liveCeiling', 'liveCeilingValue', 'liveEchoCancel'
         ];
 
         elements.forEach(id => {
@@ -225,9 +331,33 @@ class DistortionUI {
     }
 
     bindEvents() {
+        // 模式切换
+        document.querySelectorAll('.mode-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.setMode(tab.dataset.mode));
+        });
+
+        // 压缩等级
+        document.getElementById('qualitySlider').addEventListener('input', (e) => {
+            this.compressionLevel = parseInt(e.target.value, 10);
+            this.updateQualityDescription();
+        });
+        this.updateQualityDescription();
+
+        // 压缩模式的自定义失真曲线
+        this.curveEditor = new CurveEditor(document.getElementById('compressionCurveCanvas'), () => {});
+        this.curveEditor.setCurve(this.compressionCurve.points);
+        document.getElementById('compressionCurveEnabled').addEventListener('change', (e) => {
+            this.compressionCurve.enabled = e.target.checked;
+        });
+        document.querySelectorAll('[data-curve-shape]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.curveEditor.applyShape(button.dataset.curveShape);
+            });
+        });
+
         // 文件输入
         const audioInput = document.getElementById('audioFile');
-        audioInput.addEventListener('change', (e) => this.handleFile(e.target.files[0]));
+        audioInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
 
         // 点击区域
         document.getElementById('uploadArea').addEventListener('click', () => {
@@ -243,30 +373,500 @@ class DistortionUI {
         });
 
         document.getElementById('uploadArea').addEventListener('drop', (e) => {
-            this.handleFile(e.dataTransfer.files[0]);
+            this.handleFiles(e.dataTransfer.files);
+        });
+
+        // 效果链
+        this.settings.scripts = this.presets.scripts;
+        DamageDSP.registerScripts(this.settings.scripts);
+        this.chainEditor = new EffectChainEditor(document.getElementById('effectChain'), () => {
+            this.onSettingsChanged();
+        });
+        this.chainEditor.setChain(this.settings.chain);
+
+        const addEffectType = document.getElementById('addEffectType');
+        this.renderEffectOptions();
+        document.getElementById('addEffectBtn').addEventListener('click', () => {
+            this.chainEditor.add(addEffectType.value);
+        });
+
+        // 脚本效果
+        document.getElementById('scriptSelect').addEventListener('change', () => {
+            this.showScript();
+        });
+        document.getElementById('scriptSaveBtn').addEventListener('click', () => {
+            this.saveScript();
+        });
+        document.getElementById('scriptDeleteBtn').addEventListener('click', () => {
+            this.deleteScript();
+        });
+        this.renderScriptOptions();
+
+        // 强度自动化
+        this.automationEditor = new AutomationEditor(document.getElementById('automationCanvas'), (automation, committed) => {
+            const point = this.automationEditor.selectedPoint;
+            if (point) document.getElementById('automationCurve').value = point.curve;
+            if (committed) this.onSettingsChanged();
+        });
+        this.automationEditor.setAutomation(this.settings.automation);
+
+        document.getElementById('automationEnabled').addEventListener('change', (e) => {
+            this.settings.automation.enabled = e.target.checked;
+            this.automationEditor.draw();
+            this.onSettingsChanged();
+        });
+
+        document.getElementById('automationCurve').addEventListener('change', (e) => {
+            this.automationEditor.setSelectedCurve(e.target.value);
+        });
+
+        document.querySelectorAll('[data-automation-shape]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.automationEditor.applyShape(button.dataset.automationShape);
+            });
+        });
+
+        // 立体声
+        ['stereoMode', 'stereoIntensityA', 'stereoIntensityB', 'stereoDropout', 'stereoEarbud', 'stereoEarbudSide'].forEach(id => {
+            document.getElementById(id).addEventListener(id === 'stereoMode' || id === 'stereoEarbudSide' ? 'change' : 'input', () => {
+                this.readStereoControls();
+                this.onSettingsChanged();
+            });
+        });
+
+        // 随机种子：手动输入即锁定
+        document.getElementById('seedInput').addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value, 10);
+            if (Number.isNaN(seed)) {
+                this.updateSeedField();
+                return;
+            }
+            document.getElementById('seedLock').checked = true;
+            this.setSeed(seed);
+        });
+
+        document.getElementById('seedRerollBtn').addEventListener('click', () => {
+            this.setSeed(this.randomSeed());
         });
 
-        // 控制事件
-        document.getElementById('distortionType').addEventListener('change', (e) => {
-            this.settings.type = e.target.value;
+        this.updateSeedField();
+
+        // 预设
+        document.getElementById('presetSelect').addEventListener('change', (e) => {
+            this.applyPreset(e.target.value);
+        });
+
+        document.getElementById('presetSaveBtn').addEventListener('click', () => {
+            this.savePreset();
+        });
+
+        document.getElementById('presetDeleteBtn').addEventListener('click', () => {
+            this.deletePreset();
         });
 
-        document.getElementById('intensitySlider').addEventListener('input', (e) => {
-            this.settings.intensity = parseInt(e.target.value);
-            document.getElementById('intensityValue').textContent = e.target.value;
+        document.getElementById('presetExportBtn').addEventListener('click', () => {
+            const blob = new Blob([this.presets.exportJson()], { type: 'application/json' });
+            this.downloadBlob(blob, 'yjjz-presets.json');
         });
 
-        document.getElementById('noiseCheck').addEventListener('change', (e) => {
-            this.settings.noise = e.target.checked;
+        const importInput = document.getElementById('presetImportFile');
+        document.getElementById('presetImportBtn').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', (e) => {
+            this.importPresets(e.target.files[0]);
+            importInput.value = '';
         });
 
-        document.getElementById('crackleCheck').addEventListener('change', (e) => {
-            this.settings.crackle = e.target.checked;
+        document.getElementById('presetShareBtn').addEventListener('click', () => {
+            this.copyShareLink();
         });
 
+        // 项目库
+        if (this.library.available) {
+            document.getElementById('libraryPanel').classList.remove('hidden');
+            document.getElementById('librarySearch').addEventListener('input', () => this.renderLibrary());
+            this.renderLibrary();
+        }
+
+        this.renderPresetOptions();
+        this.restoreFromUrl();
+        this.setMode(this.mode);
+
         document.getElementById('processBtn').addEventListener('click', () => {
             this.processAudio();
         });
+
+        document.getElementById('cancelBtn').addEventListener('click', () => {
+            this.cancelProcessing();
+        });
+
+        // 麦克风录音
+        document.getElementById('recordBtn').addEventListener('click', () => this.toggleRecording());
+        document.getElementById('recordRetakeBtn').addEventListener('click', () => this.retakeRecording());
+
+        // 实时模式
+        document.getElementById('liveBtn').addEventListener('click', () => this.toggleLive());
+        document.getElementById('liveABBtn').addEventListener('click', () => {
+            this.live.setBypass(!this.live.bypass);
+            this.updateLiveControls();
+        });
+        document.getElementById('liveRecordBtn').addEventListener('click', () => this.toggleLiveRecording());
+        ['liveGain', 'liveCeiling'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.onLiveLevelsChanged());
+        });
+
+        // 处理历史
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.matches('input, select, textarea')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // 导出设置
+        ['exportBitDepth', 'exportSampleRate', 'exportLevel', 'exportMono'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.onExportOptionsChanged());
+        });
+
+        // 实时试听
+        document.getElementById('previewPlayBtn').addEventListener('click', () => {
+            this.togglePreview();
+        });
+
+        document.getElementById('previewABBtn').addEventListener('click', () => {
+            this.togglePreviewAB();
+        });
+
+        const seek = document.getElementById('previewSeek');
+        seek.addEventListener('input', () => {
+            this.seeking = true;
+            this.updatePreviewTime(parseFloat(seek.value));
+        });
+        seek.addEventListener('change', () => {
+            this.seeking = false;
+            this.preview.seek(parseFloat(seek.value));
+        });
+
+        this.preview.onEnded = () => this.updatePreviewControls();
+
+        // 可视化
+        document.getElementById('spectrogramSource').addEventListener('change', () => {
+            this.drawSpectrogram();
+        });
+
+        // 区域交叉淡化时长
+        document.getElementById('fadeSlider').addEventListener('input', (e) => {
+            this.settings.fade = parseInt(e.target.value, 10) / 1000;
+            document.getElementById('fadeValue').textContent = e.target.value;
+            this.onSettingsChanged();
+        });
+
+        // 批量处理
+        document.getElementById('batchStartBtn').addEventListener('click', () => {
+            this.runBatch();
+        });
+
+        document.getElementById('batchCancelBtn').addEventListener('click', () => {
+            this.batch.cancel();
+        });
+
+        document.getElementById('batchZipBtn').addEventListener('click', () => {
+            this.downloadBatchZip();
+        });
+    }
+
+    // 两种模式共用文件、进度与下载区域，切换时丢弃另一模式的结果
+    setMode(mode) {
+        this.mode = mode;
+        document.getElementById('appContainer').dataset.mode = mode;
+        document.querySelectorAll('.mode-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
+
+        if (mode !== 'distortion' && this.preview.playing) {
+            this.preview.pause();
+            this.updatePreviewControls();
+        }
+        if (mode !== 'distortion' && this.live.running) this.stopLive();
+
+        this.processedBuffer = null;
+        document.getElementById('downloadContainer').style.display = 'none';
+        document.getElementById('processBtn').innerHTML = this.processButtonHtml();
+        this.visualizer.setRegions(mode === 'distortion' ? this.settings.regions : [], this.regionEditor.duration);
+        if (this.loader.decodedBuffer && this.selectedFile) this.drawVisuals();
+        // 面板隐藏时画布没有尺寸，切换过来再画
+        if (mode === 'compression') this.curveEditor.draw();
+    }
+
+    processButtonHtml() {
+        return this.mode === 'compression'
+            ? '<i class="fas fa-compress"></i> 开始压缩'
+            : '<i class="fas fa-bolt"></i> 生成全损音质';
+    }
+
+    // 内置效果在前，脚本效果在后
+    renderEffectOptions() {
+        const select = document.getElementById('addEffectType');
+        const selected = select.value;
+        select.innerHTML = '';
+
+        const scripts = document.createElement('optgroup');
+        scripts.label = '脚本效果';
+        Object.entries(DamageDSP.effects).forEach(([name, effect]) => {
+            const option = new Option(effect.label, name);
+            if (effect.script) scripts.appendChild(option);
+            else select.add(option);
+        });
+        if (scripts.children.length) select.appendChild(scripts);
+        if (DamageDSP.effects[selected]) select.value = selected;
+    }
+
+    renderScriptOptions(selected = '') {
+        const select = document.getElementById('scriptSelect');
+        select.innerHTML = '';
+        select.add(new Option('＋ 新建脚本效果', ''));
+        this.presets.scripts.forEach(script => select.add(new Option(script.label, script.type)));
+        select.value = selected;
+        this.showScript();
+    }
+
+    // 把选中的脚本填进编辑框；新建时给一个示例
+    showScript() {
+        const type = document.getElementById('scriptSelect').value;
+        const script = this.presets.scripts.find(s => s.type === type);
+        document.getElementById('scriptLabel').value = script ? script.label : '';
+        document.getElementById('scriptCode').value = script ? script.code : SCRIPT_TEMPLATE;
+        document.getElementById('scriptDeleteBtn').disabled = !script;
+        document.getElementById('scriptStatus').textContent = '';
+    }
+
+    // 页面线程只检查语法，不执行脚本
+    saveScript() {
+        const status = document.getElementById('scriptStatus');
+        const script = {
+            label: document.getElementById('scriptLabel').value.trim(),
+            code: document.getElementById('scriptCode').value
+        };
+        const type = document.getElementById('scriptSelect').value;
+        if (type) script.type = type;
+
+        try {
+            UserScriptSandbox.check(script);
+            const saved = this.presets.saveScript(script);
+            this.updateScripts();
+            this.renderScriptOptions(saved.type);
+            status.textContent = '✅ 已保存，可在效果链中添加';
+        } catch (error) {
+            status.textContent = `❌ ${error.message}`;
+        }
+    }
+
+    deleteScript() {
+        const type = document.getElementById('scriptSelect').value;
+        const script = this.presets.scripts.find(s => s.type === type);
+        if (!script) return;
+
+        const used = this.settings.chain.some(stage => stage.type === type);
+        if (!confirm(used ? `删除脚本效果「${script.label}」？效果链中用到它的效果级也会移除` : `删除脚本效果「${script.label}」？`)) return;
+
+        this.chainEditor.removeType(type);
+        this.presets.removeScript(type);
+        this.updateScripts();
+        this.renderScriptOptions();
+    }
+
+    // 脚本库变化后重新注册，刷新效果列表与效果链上的名称
+    updateScripts() {
+        this.settings.scripts = this.presets.scripts;
+        DamageDSP.registerScripts(this.settings.scripts);
+        this.renderEffectOptions();
+        this.chainEditor.render();
+        this.onSettingsChanged();
+    }
+
+    updateQualityDescription() {
+        const descriptions = {
+            1: '1级：3比特 / 22kHz，无失真',
+            2: '2级：2比特 / 16kHz 单声道，无失真',
+            3: '3级：1比特 / 11kHz 单声道，无失真',
+            4: '4级：1比特 / 8kHz 单声道，添加轻度失真',
+            5: '5级：1比特 / 8kHz 单声道，添加强烈失真'
+        };
+        document.getElementById('qualityValue').textContent = this.compressionLevel;
+        document.getElementById('qualityDescription').textContent = descriptions[this.compressionLevel];
+    }
+
+    onSettingsChanged() {
+        this.preview.setSettings(this.settings);
+        this.live.setSettings(this.settings);
+        if (this.live.running) this.updateLiveControls(); // 效果链的延迟随之变化
+        this.updateUrl();
+    }
+
+    // 载入预设或分享链接中的设置；带种子时一并锁定
+    // 带有库里没有的脚本效果时先确认，确认后并入脚本库
+    applySettings(settings) {
+        if (settings.scripts) {
+            const incoming = settings.scripts.filter(script => !this.presets.hasScript(script));
+            const names = incoming.map(script => `「${script.label}」`).join('');
+            if (incoming.length && !confirm(`这组设置包含脚本效果${names}，会在后台线程中运行你未检查过的代码。是否载入？`)) return;
+            this.presets.mergeScripts(incoming);
+            this.settings.scripts = this.presets.scripts;
+            DamageDSP.registerScripts(this.settings.scripts);
+            this.renderEffectOptions();
+            this.renderScriptOptions();
+        }
+
+        this.settings.chain = settings.chain;
+        this.chainEditor.setChain(this.settings.chain);
+
+        if (settings.automation) {
+            this.settings.automation = settings.automation;
+            this.automationEditor.setAutomation(this.settings.automation);
+            document.getElementById('automationEnabled').checked = settings.automation.enabled;
+        }
+
+        if (settings.stereo) {
+            this.settings.stereo = settings.stereo;
+            this.syncStereoControls();
+        }
+
+        if (settings.seed !== undefined) {
+            document.getElementById('seedLock').checked = true;
+            this.settings.seed = settings.seed;
+            this.updateSeedField();
+        }
+
+        this.onSettingsChanged();
+    }
+
+    updateUrl() {
+        history.replaceState(null, '', this.presets.encodeToHash(this.settings));
+    }
+
+    restoreFromUrl() {
+        try {
+            const settings = this.presets.decodeFromHash(location.hash);
+            if (settings) {
+                this.applySettings(settings);
+                console.log('🔗 已从链接还原设置');
+            }
+        } catch (error) {
+            console.warn('分享链接无效:', error);
+            alert(`分享链接无效: ${error.message}`);
+        }
+    }
+
+    renderPresetOptions(selected = '') {
+        const select = document.getElementById('presetSelect');
+        select.innerHTML = '';
+        select.add(new Option('— 选择预设 —', ''));
+
+        const builtin = document.createElement('optgroup');
+        builtin.label = '内置';
+        this.presets.builtinPresets.forEach((preset, index) => {
+            builtin.appendChild(new Option(preset.name, `builtin:${index}`));
+        });
+        select.appendChild(builtin);
+
+        if (this.presets.userPresets.length) {
+            const user = document.createElement('optgroup');
+            user.label = '我的预设';
+            this.presets.userPresets.forEach(preset => {
+                user.appendChild(new Option(preset.name, `user:${preset.name}`));
+            });
+            select.appendChild(user);
+        }
+
+        select.value = selected;
+        document.getElementById('presetDeleteBtn').disabled = !selected.startsWith('user:');
+    }
+
+    findPreset(value) {
+        if (value.startsWith('builtin:')) {
+            return this.presets.builtinPresets[parseInt(value.slice(8), 10)];
+        }
+        if (value.startsWith('user:')) {
+            return this.presets.userPresets.find(preset => preset.name === value.slice(5));
+        }
+        return null;
+    }
+
+    applyPreset(value) {
+        document.getElementById('presetDeleteBtn').disabled = !value.startsWith('user:');
+        const preset = this.findPreset(value);
+        if (!preset) return;
+
+        try {
+            this.applySettings(this.presets.fromPortable(preset.settings));
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    savePreset() {
+        const current = this.findPreset(document.getElementById('presetSelect').value);
+        const name = prompt('预设名称：', current && !this.presets.builtinPresets.includes(current) ? current.name : '');
+        if (!name || !name.trim()) return;
+
+        const preset = this.presets.save(name.trim(), this.settings);
+        this.renderPresetOptions(`user:${preset.name}`);
+    }
+
+    deletePreset() {
+        const value = document.getElementById('presetSelect').value;
+        if (!value.startsWith('user:')) return;
+
+        const name = value.slice(5);
+        if (!confirm(`删除预设「${name}」？`)) return;
+
+        this.presets.remove(name);
+        this.renderPresetOptions();
+    }
+
+    async importPresets(file) {
+        if (!file) return;
+
+        try {
+            const count = this.presets.importJson(await file.text());
+            this.renderPresetOptions();
+            alert(`已导入 ${count} 个预设`);
+        } catch (error) {
+            alert(`导入失败: ${error.message}`);
+        }
+    }
+
+    async copyShareLink() {
+        this.updateUrl();
+        try {
+            await navigator.clipboard.writeText(location.href);
+            alert('分享链接已复制');
+        } catch (error) {
+            prompt('复制以下链接分享：', location.href);
+        }
+    }
+
+    randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    setSeed(seed) {
+        this.settings.seed = seed >>> 0;
+        this.updateSeedField();
+        this.onSettingsChanged();
+    }
+
+    updateSeedField() {
+        document.getElementById('seedInput').value = this.settings.seed;
     }
 
     setupErrorHandling() {
@@ -275,8 +875,25 @@ class DistortionUI {
         });
     }
 
-    handleFile(file) {
-        if (!file) return;
+    // 多选时首个文件用于试听/调参，全部文件进入批量队列
+    handleFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (!files.length) return;
+
+        this.handleFile(files[0]);
+
+        if (files.length > 1 && !this.batch.running) {
+            this.batch.setFiles(files);
+            this.renderBatchQueue();
+            document.getElementById('batchPanel').style.display = 'block';
+        } else if (!this.batch.running) {
+            document.getElementById('batchPanel').style.display = 'none';
+        }
+    }
+
+    // keepHistory 为真时是在历史版本之间切换输入，不清空历史；返回是否成功打开
+    async handleFile(file, keepHistory = false) {
+        if (!file) return false;
 
         // 详细文件检查
         console.log('📁 文件信息:', {
@@ -286,93 +903,965 @@ class DistortionUI {
             lastModified: new Date(file.lastModified).toLocaleString()
         });
 
-        // 验证文件
+        // 验证文件：识别文件头并试解码，大文件可能需要几秒
+        this.probingFile = file;
+        document.getElementById('uploadArea').classList.add('probing');
         try {
-            this.validateFile(file);
+            const report = await this.loader.validateFile(file);
+            if (this.probingFile !== file) return false; // 检测期间又选了其他文件
             
             this.selectedFile = file;
             
             // 显示文件信息
             document.getElementById('fileName').textContent = file.name;
-            document.getElementById('fileType').textContent = file.type;
+            document.getElementById('fileType').textContent = this.describeFormat(report);
             document.getElementById('fileSize').textContent = `${(file.size/1024).toFixed(1)} KB`;
-            
-            // 获取时长
-            const audio = new Audio(URL.createObjectURL(file));
-            audio.addEventListener('loadedmetadata', () => {
-                document.getElementById('fileDuration').textContent = 
-                    `${Math.floor(audio.duration / 60)}:${Math.floor(audio.duration % 60).toString().padStart(2, '0')}`;
-                URL.revokeObjectURL(audio.src);
-            });
+            document.getElementById('fileDuration').textContent = this.formatTime(report.duration);
+            this.showStereoControls(report.numberOfChannels > 1);
             
             // 显示控制面板
             document.getElementById('fileInfo').style.display = 'block';
             document.getElementById('controls').style.display = 'block';
+            this.automationEditor.draw();
+
+            // 区域按时间标记：换了新的源文件时清空；在历史版本之间切换输入时保留，解码后按新时长截取
+            if (!keepHistory) this.settings.regions = [];
+
+            document.getElementById('streamNotice').style.display = report.streaming ? 'block' : 'none';
+            if (report.streaming) {
+                this.showStreamingFile();
+            } else {
+                this.loadDecoded(file);
+            }
+
+            if (!keepHistory) {
+                this.history.reset({ label: `打开 ${file.name}`, source: file });
+                this.showVersion(this.history.current);
+                this.addToLibrary(file, report);
+            }
+            return true;
             
         } catch (error) {
-            alert(error.message);
+            if (this.probingFile === file) alert(error.message);
+            return false;
+        } finally {
+            if (this.probingFile === file) {
+                this.probingFile = null;
+                document.getElementById('uploadArea').classList.remove('probing');
+            }
         }
     }
 
-    validateFile(file) {
-        const MAX_SIZE = 50 * 1024 * 1024; // 50MB
-        if (file.size > MAX_SIZE) {
-            throw new Error(`文件过大 (${(file.size/1024/1024).toFixed(1)}MB)，请选择小于50MB的音频`);
-        }
-        
-        const supportedTypes = ['audio/mp3', 'audio/wav', 'audio/flac', 'audio/m4a', 'audio/ogg', 'audio/wave'];
-        if (!file.type || !file.type.startsWith('audio/')) {
-            throw new Error(`不支持的文件类型: ${file.type || '未知'}`);
-        }
+    // 立体声控件与效果级的声道选择只对多声道文件有意义
+    showStereoControls(visible) {
+        document.getElementById('stereoPanel').classList.toggle('hidden', !visible);
+        this.chainEditor.setChannelLabels(visible ? this.stereoLabels() : null);
     }
 
-    async processAudio() {
-        if (!this.selectedFile) {
-            alert('请先选择音频文件！');
-            return;
+    // M/S 模式下两个声道是中置与两侧
+    stereoLabels() {
+        return this.settings.stereo.mode === 'ms' ? ['中置', '两侧'] : ['左声道', '右声道'];
+    }
+
+    readStereoControls() {
+        const percent = (id) => parseInt(document.getElementById(id).value, 10) / 100;
+        this.settings.stereo = {
+            mode: document.getElementById('stereoMode').value,
+            intensity: [percent('stereoIntensityA'), percent('stereoIntensityB')],
+            dropout: percent('stereoDropout'),
+            earbud: percent('stereoEarbud'),
+            earbudSide: parseInt(document.getElementById('stereoEarbudSide').value, 10)
+        };
+        this.updateStereoLabels();
+    }
+
+    syncStereoControls() {
+        const stereo = this.settings.stereo;
+        const setPercent = (id, value) => {
+            document.getElementById(id).value = Math.round(value * 100);
+        };
+        document.getElementById('stereoMode').value = stereo.mode;
+        setPercent('stereoIntensityA', stereo.intensity[0]);
+        setPercent('stereoIntensityB', stereo.intensity[1]);
+        setPercent('stereoDropout', stereo.dropout);
+        setPercent('stereoEarbud', stereo.earbud);
+        document.getElementById('stereoEarbudSide').value = String(stereo.earbudSide);
+        this.updateStereoLabels();
+    }
+
+    updateStereoLabels() {
+        const [labelA, labelB] = this.stereoLabels();
+        document.getElementById('stereoLabelA').textContent = labelA;
+        document.getElementById('stereoLabelB').textContent = labelB;
+        ['stereoIntensityA', 'stereoIntensityB', 'stereoDropout', 'stereoEarbud'].forEach(id => {
+            document.getElementById(`${id}Value`).textContent = document.getElementById(id).value;
+        });
+        const shown = this.chainEditor.channelLabels;
+        if (shown && shown[0] !== labelA) this.chainEditor.setChannelLabels([labelA, labelB]);
+    }
+
+    // 例：FLAC · 44100Hz · 立体声（浏览器报告: 未知）、MP4/M4A · 48000Hz · 立体声 · 视频，仅取音轨
+    describeFormat(report) {
+        const channels = { 1: '单声道', 2: '立体声' }[report.numberOfChannels] || `${report.numberOfChannels} 声道`;
+        const reported = report.reportedType === report.format.mime
+            ? ''
+            : `（浏览器报告: ${report.reportedType || '未知'}）`;
+        const video = report.video ? ' · 视频，仅取音轨' : '';
+        return `${report.format.label} · ${report.sampleRate}Hz · ${channels}${video}${reported}`;
+    }
+
+    async toggleRecording() {
+        if (this.recorder.recording) {
+            const file = await this.recorder.stop();
+            this.updateRecordControls();
+            if (file) this.handleFiles([file]);
+            return;
+        }
+
+        try {
+            await this.recorder.start();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.updateRecordControls();
+        cancelAnimationFrame(this.recordFrame);
+        this.tickRecording();
+    }
+
+    async retakeRecording() {
+        this.recorder.cancel();
+        await this.toggleRecording();
+    }
+
+    tickRecording() {
+        const recording = this.recorder.recording;
+        document.getElementById('recordLevel').style.width = `${recording ? Math.min(100, this.recorder.level() * 100) : 0}%`;
+        document.getElementById('recordTime').textContent = this.formatTime(this.recorder.duration);
+        if (recording) this.recordFrame = requestAnimationFrame(() => this.tickRecording());
+    }
+
+    updateRecordControls() {
+        const recording = this.recorder.recording;
+        document.getElementById('recordBtn').textContent = recording ? '⏹ 停止' : '🎙 录音';
+        document.getElementById('recordRetakeBtn').style.display = recording ? 'inline-block' : 'none';
+    }
+
+    async toggleLive() {
+        if (this.live.running) {
+            await this.stopLive();
+            return;
+        }
+
+        try {
+            await this.live.start(this.settings, document.getElementById('liveEchoCancel').checked);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.onLiveLevelsChanged();
+
+        // 没有文件时也要能编辑效果链
+        document.getElementById('controls').style.display = 'block';
+        this.automationEditor.draw();
+        this.updateLiveControls();
+        cancelAnimationFrame(this.liveFrame);
+        this.tickLive();
+    }
+
+    // 关闭前先保存正在进行的录制
+    async stopLive() {
+        if (this.live.recording) await this.toggleLiveRecording();
+        this.live.stop();
+        this.updateLiveControls();
+    }
+
+    async toggleLiveRecording() {
+        if (!this.live.recording) {
+            this.live.startRecording();
+            this.updateLiveControls();
+            return;
+        }
+
+        const file = await this.live.stopRecording();
+        this.updateLiveControls();
+        if (file) this.downloadBlob(file, file.name);
+    }
+
+    onLiveLevelsChanged() {
+        const gain = Number(document.getElementById('liveGain').value);
+        const ceiling = Number(document.getElementById('liveCeiling').value);
+        document.getElementById('liveGainValue').textContent = `${gain > 0 ? '+' : ''}${gain} dB`;
+        document.getElementById('liveCeilingValue').textContent = `${ceiling} dB`;
+        this.live.setLevels({ inputGain: Math.pow(10, gain / 20), ceiling: Math.pow(10, ceiling / 20) });
+    }
+
+    tickLive() {
+        const running = this.live.running;
+        document.getElementById('liveLevel').style.width = `${running ? Math.min(100, this.live.level() * 100) : 0}%`;
+        if (this.live.recording) {
+            document.getElementById('liveStatus').textContent = `录制中 ${this.formatTime(this.live.recordDuration)}`;
+        }
+        if (running) this.liveFrame = requestAnimationFrame(() => this.tickLive());
+    }
+
+    updateLiveControls() {
+        const running = this.live.running;
+        document.getElementById('liveBtn').textContent = running ? '⏹ 停止实时' : '🔴 实时处理';
+        document.getElementById('liveABBtn').disabled = !running;
+        document.getElementById('liveABBtn').textContent = this.live.bypass ? 'A: 原声' : 'B: 损坏';
+        document.getElementById('liveRecordBtn').disabled = !running;
+        document.getElementById('liveRecordBtn').textContent = this.live.recording ? '⏹ 停止录制' : '⏺ 录制';
+        document.getElementById('liveEchoCancel').disabled = running;
+        document.getElementById('liveStatus').textContent = running
+            ? `运行中 · 延迟约 ${Math.round(this.live.latency * 1000)} ms`
+            : '未开启';
+    }
+
+    // 解码一次，供可视化与试听共用
+    async loadDecoded(file) {
+        const panel = document.getElementById('previewPanel');
+        panel.style.display = 'none';
+        document.getElementById('visualPanel').style.display = 'none';
+        this.processedBuffer = null;
+
+        try {
+            const buffer = await this.loader.decodeFile(file);
+            if (file !== this.selectedFile) return; // 已切换到其他文件
+
+            this.clampRegions(buffer.duration);
+            this.regionEditor.setRegions(this.settings.regions, buffer.duration);
+            this.visualizer.setRegions(this.mode === 'distortion' ? this.settings.regions : [], buffer.duration);
+            this.drawVisuals();
+            await this.preview.load(buffer);
+            this.preview.setSettings(this.settings);
+
+            document.getElementById('previewSeek').max = buffer.duration;
+            this.updatePreviewControls();
+            panel.style.display = 'block';
+        } catch (error) {
+            console.error('试听加载失败:', error);
+        }
+    }
+
+    // 区域截取到 duration 之内，完全在外面的去掉
+    clampRegions(duration) {
+        this.settings.regions = this.settings.regions
+            .filter(region => region.start < duration)
+            .map(region => ({ ...region, end: Math.min(region.end, duration) }));
+    }
+
+    // 分段处理的大文件不解码进内存：隐藏试听与可视化，释放上一个文件的缓存
+    // 没有波形就看不到也改不了区域，所以清空区域，整段处理
+    showStreamingFile() {
+        this.preview.unload();
+        this.loader.clearCache();
+        this.processedBuffer = null;
+        this.settings.regions = [];
+        this.regionEditor.setRegions(this.settings.regions, 0);
+        document.getElementById('previewPanel').style.display = 'none';
+        document.getElementById('visualPanel').style.display = 'none';
+    }
+
+    drawVisuals() {
+        document.getElementById('visualPanel').style.display = 'block';
+        this.visualizer.drawWaveforms(this.loader.decodedBuffer, this.processedBuffer);
+        this.drawSpectrogram();
+    }
+
+    drawSpectrogram() {
+        const select = document.getElementById('spectrogramSource');
+        const processedOption = select.querySelector('option[value="processed"]');
+        processedOption.disabled = !this.processedBuffer;
+        if (processedOption.disabled) select.value = 'original';
+
+        this.visualizer.drawSpectrogram(select.value === 'processed'
+            ? this.processedBuffer
+            : this.loader.decodedBuffer);
+    }
+
+    async togglePreview() {
+        if (this.preview.playing) {
+            this.preview.pause();
+        } else {
+            await this.preview.play();
+            this.tickPreview();
+        }
+        this.updatePreviewControls();
+    }
+
+    togglePreviewAB() {
+        this.preview.setBypass(!this.preview.bypass);
+        this.updatePreviewControls();
+    }
+
+    tickPreview() {
+        if (!this.preview.playing) return;
+        if (!this.seeking) this.updatePreviewTime(this.preview.currentTime);
+        requestAnimationFrame(() => this.tickPreview());
+    }
+
+    updatePreviewControls() {
+        document.getElementById('previewPlayBtn').innerHTML = this.preview.playing
+            ? '<i class="fas fa-pause"></i> 暂停'
+            : '<i class="fas fa-play"></i> 试听';
+        document.getElementById('previewABBtn').textContent = this.preview.bypass ? 'A: 原声' : 'B: 损坏';
+        this.updatePreviewTime(this.preview.currentTime);
+    }
+
+    updatePreviewTime(time) {
+        document.getElementById('previewSeek').value = time;
+        document.getElementById('previewTime').textContent =
+            `${this.formatTime(time)} / ${this.formatTime(this.preview.duration)}`;
+    }
+
+    formatTime(seconds) {
+        return `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    async processAudio() {
+        if (!this.selectedFile) {
+            alert('请先选择音频文件！');
+            return;
         }
 
+        const file = this.selectedFile;
+        const mode = this.mode;
+        const seed = mode === 'distortion' ? this.nextRenderSeed() : null;
+
         try {
             // 显示进度
             document.getElementById('controls').style.display = 'none';
+            document.getElementById('downloadContainer').style.display = 'none';
             document.getElementById('progressContainer').style.display = 'block';
+            document.getElementById('progressText').textContent = '0%';
+            document.getElementById('progressFill').style.width = '0%';
             document.getElementById('processBtn').innerHTML = '<i class="fas fa-spinner fa-spin"></i> 处理中...';
             document.getElementById('processBtn').disabled = true;
+            this.setModeTabsDisabled(true);
 
-            const result = await this.distortion.addDistortion(
-                this.selectedFile,
-                this.settings,
-                (progress) => {
-                    document.getElementById('progressText').textContent = `${Math.round(progress)}%`;
-                    document.getElementById('progressFill').style.width = `${progress}%`;
-                }
-            );
+            const onProgress = (progress) => {
+                document.getElementById('progressText').textContent = `${Math.round(progress)}%`;
+                document.getElementById('progressFill').style.width = `${progress}%`;
+            };
+            const processor = mode === 'compression' ? this.compressor : this.distortion;
+            const settings = structuredClone(this.settings);
+            const result = mode === 'compression'
+                ? await this.compressor.compressAudio(file, this.compressionLevel, onProgress,
+                    this.compressionCurve.enabled ? this.compressionCurve.points : null)
+                : await this.distortion.addDistortion(file, settings, onProgress, this.exportOptionsFor(settings));
 
-            document.getElementById('newFileSize').textContent = `${(result.size/1024).toFixed(1)} KB`;
-            document.getElementById('downloadContainer').style.display = 'block';
             document.getElementById('progressContainer').style.display = 'none';
+            document.getElementById('spectrogramSource').value = 'processed';
+
+            // 每次渲染存为一个新版本
+            const version = this.history.push({
+                label: this.versionLabel(mode, settings),
+                source: file,
+                result: {
+                    blob: result,
+                    name: mode === 'compression'
+                        ? `compressed_${file.name.replace(/\.[^/.]+$/, "")}.wav`
+                        : this.outputName(file, seed),
+                    buffer: processor.processedBuffer,
+                    loudness: mode === 'compression' ? null : processor.loudness,
+                    mode,
+                    seed,
+                    settings
+                }
+            });
+            this.showVersion(version);
+            this.saveRender(version);
             
-            // 设置下载
-            const url = URL.createObjectURL(result);
-            document.getElementById('downloadBtn').onclick = () => {
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `damaged_${this.selectedFile.name.replace(/\.[^/.]+$/, "")}.wav`;
-                a.click();
-            };
-            
-            document.getElementById('processBtn').innerHTML = '<i class="fas fa-bolt"></i> 再次处理';
-            document.getElementById('processBtn').disabled = false;
+            this.restoreControls('<i class="fas fa-bolt"></i> 再次处理');
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('⏹️ 处理已取消');
+                this.restoreControls(this.processButtonHtml());
+                return;
+            }
+
             console.error('处理失败:', error);
             alert(error.message);
-            document.getElementById('controls').style.display = 'block';
-            document.getElementById('progressContainer').style.display = 'none';
-            document.getElementById('processBtn').innerHTML = '<i class="fas fa-bolt"></i> 重新处理';
-            document.getElementById('processBtn').disabled = false;
+            this.restoreControls('<i class="fas fa-bolt"></i> 重新处理');
+        }
+    }
+
+    // 未锁定时每次渲染换一个新种子
+    nextRenderSeed() {
+        if (!document.getElementById('seedLock').checked) {
+            this.setSeed(this.randomSeed());
+        }
+        return this.settings.seed;
+    }
+
+    // 非默认的位深、采样率写进文件名
+    outputName(file, seed, options = this.exportOptions) {
+        const format = (options.bitDepth !== 16 ? `_${options.bitDepth}bit` : '')
+            + (options.sampleRate ? `_${options.sampleRate}Hz` : '');
+        return `damaged_${file.name.replace(/\.[^/.]+$/, "")}_seed${seed}${format}.wav`;
+    }
+
+    showResult({ blob, name, loudness }) {
+        document.getElementById('newFileSize').textContent = `${(blob.size/1024).toFixed(1)} KB`;
+        document.getElementById('downloadBtn').onclick = () => this.downloadBlob(blob, name);
+        this.showLoudness(loudness);
+    }
+
+    // 原声与输出的峰值 / RMS (dBFS) 与综合响度 (LUFS)；峰值到顶时提示削波
+    showLoudness(loudness) {
+        const table = document.getElementById('loudnessStats');
+        table.classList.toggle('hidden', !loudness);
+        if (!loudness) return;
+
+        const decibels = (value) => value > 0 ? `${(20 * Math.log10(value)).toFixed(1)} dBFS` : '-∞';
+        const row = (label, stats) => {
+            if (!stats) return '';
+            const clipped = stats.peak >= 0.999 ? ' <span style="color: #ff6b6b;" title="峰值到达满幅，可能已削波">⚠️</span>' : '';
+            const lufs = Number.isFinite(stats.lufs) ? `${stats.lufs.toFixed(1)} LUFS` : '-∞';
+            return `<tr><td>${label}</td><td>${decibels(stats.peak)}${clipped}</td><td>${decibels(stats.rms)}</td><td>${lufs}</td></tr>`;
+        };
+        table.innerHTML = '<tr style="opacity: 0.7;"><th></th><th>峰值</th><th>RMS</th><th>响度</th></tr>'
+            + row('原声', loudness.input) + row('输出', loudness.output);
+    }
+
+    // 例：电台 → 数字损坏 · 种子 123
+    versionLabel(mode, settings) {
+        if (mode === 'compression') return `压缩 等级 ${this.compressionLevel}${this.compressionCurve.enabled ? ' · 自定义曲线' : ''}`;
+
+        const stages = settings.chain
+            .filter(stage => !stage.bypass)
+            .map(stage => DamageDSP.effects[stage.type].label);
+        return `${stages.join(' → ') || '无效果'} · 种子 ${settings.seed}`;
+    }
+
+    // 显示某个版本：输入不同时先切换输入，再显示它的处理结果
+    async showVersion(version) {
+        if (version.source !== this.selectedFile) {
+            if (!await this.handleFile(version.source, true)) return;
+        }
+
+        const result = version.result;
+        this.processedBuffer = result ? result.buffer : null;
+        document.getElementById('downloadContainer').style.display = result ? 'block' : 'none';
+        if (result) this.showResult(result);
+        if (this.loader.decodedBuffer && this.loader.decodedFile === this.selectedFile) this.drawVisuals();
+        this.renderHistory();
+    }
+
+    undo() {
+        if (this.history.canUndo && !this.isBusy()) this.showVersion(this.history.undo());
+    }
+
+    redo() {
+        if (this.history.canRedo && !this.isBusy()) this.showVersion(this.history.redo());
+    }
+
+    // 处理或检测文件期间不切换版本
+    isBusy() {
+        return document.getElementById('processBtn').disabled || Boolean(this.probingFile);
+    }
+
+    // 把处理结果当作新的输入，接着叠加下一轮效果
+    async useAsInput(version) {
+        const { blob, name } = version.result;
+        const file = new File([blob], name, { type: 'audio/wav', lastModified: Date.now() });
+        if (!await this.handleFile(file, true)) return;
+
+        this.showVersion(this.history.push({ label: `以 #${version.id} 为输入`, source: file }));
+    }
+
+    playVersion(version) {
+        const audio = document.getElementById('historyAudio');
+        audio.src = this.history.urlFor(version);
+        audio.dataset.version = version.id;
+        audio.style.display = 'block';
+        audio.play();
+    }
+
+    renderHistory() {
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+        const current = this.history.current;
+
+        this.history.versions.forEach(version => {
+            const row = document.createElement('div');
+            row.className = 'history-item' + (version === current ? ' current' : '');
+            row.title = '切换到此版本';
+            row.addEventListener('click', () => {
+                if (version !== this.history.current && !this.isBusy()) {
+                    this.showVersion(this.history.goTo(version.id));
+                }
+            });
+
+            const name = document.createElement('span');
+            name.className = 'batch-item-name';
+            name.textContent = `#${version.id} ${version.label}`;
+            row.appendChild(name);
+
+            const button = (text, title, action) => {
+                const element = document.createElement('button');
+                element.className = 'stage-btn';
+                element.textContent = text;
+                element.title = title;
+                element.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    action();
+                });
+                row.appendChild(element);
+            };
+            button('▶', '试听', () => this.playVersion(version));
+            if (version.result) {
+                button('⬇', '下载', () => this.downloadBlob(version.result.blob, version.result.name));
+                button('↪', '作为输入继续处理', () => {
+                    if (!this.isBusy()) this.useAsInput(version);
+                });
+            }
+
+            list.appendChild(row);
+        });
+
+        // 正在试听的版本被丢弃后，它的 URL 已释放
+        const audio = document.getElementById('historyAudio');
+        if (audio.dataset.version && !this.history.urls.has(Number(audio.dataset.version))) {
+            audio.pause();
+            audio.removeAttribute('src');
+            audio.load();
+            delete audio.dataset.version;
+            audio.style.display = 'none';
+        }
+
+        document.getElementById('historyPanel').style.display = this.history.versions.length > 1 ? 'block' : 'none';
+        document.getElementById('undoBtn').disabled = !this.history.canUndo;
+        document.getElementById('redoBtn').disabled = !this.history.canRedo;
+    }
+
+    // 新打开的文件存为项目；从项目库打开的不重复保存，超过流式阈值的大文件不保存
+    addToLibrary(file, report) {
+        if (file === this.projectSource) return;
+        this.projectId = null;
+        this.projectSource = null;
+        this.projectRenders = [];
+        if (!this.library.available || report.streaming) {
+            this.renderLibrary();
+            return;
+        }
+
+        this.projectSource = file;
+        this.projectSaving = this.library.addProject(file).then(project => {
+            if (this.projectSource === file) this.projectId = project.id;
+            this.library.persist().catch(() => {});
+            this.renderLibrary();
+        }, error => {
+            if (this.projectSource === file) this.projectSource = null;
+            this.showLibraryError(error);
+        });
+    }
+
+    // 渲染结果与所用设置记入当前项目；以历史结果为输入的渲染不属于项目的源文件，不记录
+    async saveRender(version) {
+        await this.projectSaving;
+        if (!this.projectId || version.source !== this.projectSource) return;
+
+        const { blob, name, mode, seed, settings, loudness } = version.result;
+        try {
+            const render = await this.library.addRender(this.projectId, {
+                label: version.label,
+                blob,
+                name,
+                mode,
+                seed,
+                settings: mode === 'distortion' ? this.presets.toPortable(settings) : null,
+                loudness
+            });
+            version.renderId = render.id;
+            this.projectRenders.push(render);
+            this.renderLibrary();
+        } catch (error) {
+            this.showLibraryError(error);
+        }
+    }
+
+    // 打开项目：载入源文件与最近一次的设置，可接着调整后重新生成
+    // 处理历史有条数上限，只放得下最近几次结果；全部结果列在项目库里该项目下方，更早的按需载入
+    async openProject(id) {
+        if (this.isBusy()) return;
+
+        const entry = await this.library.get(id);
+        if (!entry) {
+            this.renderLibrary();
+            return;
+        }
+
+        const { project, renders } = entry;
+        this.projectId = project.id;
+        this.projectSource = project.source;
+        this.projectSaving = null;
+        this.projectRenders = renders;
+        if (!await this.handleFile(project.source)) return;
+
+        try {
+            if (project.settings) this.applySettings(this.presets.fromPortable(project.settings));
+        } catch (error) {
+            alert(`项目设置无效: ${error.message}`);
+        }
+
+        const invalid = renders.filter(render => render.settings && !this.renderSettings(render));
+        if (invalid.length) {
+            alert(`以下结果保存的设置无效，仍可试听和下载，但无法从中读取设置：\n${invalid.map(render => render.label).join('\n')}`);
+        }
+
+        // 源文件本身占一条
+        renders.slice(-(this.history.limit - 1)).forEach(render => this.pushRender(render));
+        this.showVersion(this.history.current);
+        this.renderLibrary();
+    }
+
+    // 渲染记录里的可移植设置转回内部设置；没有或无效时为 null
+    renderSettings(render) {
+        if (!render.settings) return null;
+        try {
+            return this.presets.fromPortable(render.settings);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 把项目库里的一次结果放进处理历史
+    pushRender(render) {
+        return this.history.push({
+            label: render.label,
+            source: this.projectSource,
+            renderId: render.id,
+            result: {
+                blob: render.blob,
+                name: render.name,
+                buffer: null,
+                loudness: render.loudness,
+                mode: render.mode,
+                seed: render.seed,
+                settings: this.renderSettings(render)
+            }
+        });
+    }
+
+    // 项目库里点选某次结果：已在处理历史里就切换过去，否则载入
+    openRender(render) {
+        if (this.isBusy()) return;
+        const version = this.history.versions.find(entry => entry.renderId === render.id) || this.pushRender(render);
+        this.showVersion(this.history.goTo(version.id));
+        this.renderLibrary();
+    }
+
+    async renameProject(project) {
+        const name = prompt('项目名称：', project.name);
+        if (!name || !name.trim()) return;
+
+        try {
+            await this.library.rename(project.id, name.trim());
+            this.renderLibrary();
+        } catch (error) {
+            this.showLibraryError(error);
+        }
+    }
+
+    async deleteProject(project) {
+        if (!confirm(`删除项目「${project.name}」及其 ${project.renderCount} 个结果？`)) return;
+
+        try {
+            await this.library.remove(project.id);
+            if (project.id === this.projectId) {
+                this.projectId = null;
+                this.projectSource = null;
+                this.projectRenders = [];
+            }
+            this.renderLibrary();
+        } catch (error) {
+            this.showLibraryError(error);
+        }
+    }
+
+    async renderLibrary() {
+        if (!this.library.available) return;
+
+        const query = ++this.libraryQuery;
+        let projects;
+        try {
+            projects = await this.library.list(document.getElementById('librarySearch').value);
+        } catch (error) {
+            this.showLibraryError(error);
+            return;
+        }
+        if (query !== this.libraryQuery) return; // 期间又输入了新的搜索词
+
+        const list = document.getElementById('libraryList');
+        list.innerHTML = '';
+        if (!projects.length) {
+            const empty = document.createElement('p');
+            empty.style.cssText = 'opacity: 0.6; text-align: center; margin: 8px 0;';
+            empty.textContent = document.getElementById('librarySearch').value.trim() ? '没有匹配的项目' : '还没有保存的项目';
+            list.appendChild(empty);
+        }
+
+        projects.forEach(project => {
+            const row = document.createElement('div');
+            row.className = 'history-item' + (project.id === this.projectId ? ' current' : '');
+            row.title = '打开此项目';
+            row.addEventListener('click', () => this.openProject(project.id));
+
+            const name = document.createElement('span');
+            name.className = 'batch-item-name';
+            name.textContent = project.name;
+            const meta = document.createElement('small');
+            meta.style.opacity = '0.7';
+            meta.textContent = `${project.renderCount} 个结果 · ${this.formatBytes(project.size)} · ${new Date(project.updated).toLocaleDateString()}`;
+            row.append(name, meta);
+
+            const button = (text, title, action) => {
+                const element = document.createElement('button');
+                element.className = 'stage-btn';
+                element.textContent = text;
+                element.title = title;
+                element.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    action();
+                });
+                row.appendChild(element);
+            };
+            button('✎', '重命名', () => this.renameProject(project));
+            button('✕', '删除', () => this.deleteProject(project));
+
+            list.appendChild(row);
+            if (project.id === this.projectId) this.renderProjectRenders(list);
+        });
+
+        this.showLibraryUsage();
+    }
+
+    // 当前项目的全部结果，列在项目下方；不在处理历史里的点击后载入
+    renderProjectRenders(list) {
+        const slots = this.history.limit - 1;
+        if (this.projectRenders.length > slots) {
+            const note = document.createElement('small');
+            note.style.cssText = 'display: block; opacity: 0.7; margin: 4px 0 4px 16px;';
+            note.textContent = `处理历史只保留最近 ${slots} 个结果，更早的结果点击下方条目载入`;
+            list.appendChild(note);
+        }
+
+        this.projectRenders.forEach(render => {
+            const version = this.history.versions.find(entry => entry.renderId === render.id);
+            const row = document.createElement('div');
+            row.className = 'history-item';
+            row.style.marginLeft = '16px';
+            row.title = version ? '切换到此版本' : '载入到处理历史';
+            row.addEventListener('click', () => this.openRender(render));
+
+            const name = document.createElement('span');
+            name.className = 'batch-item-name';
+            name.textContent = render.label;
+            const meta = document.createElement('small');
+            meta.style.opacity = '0.7';
+            meta.textContent = [
+                version ? `#${version.id}` : '未载入',
+                render.settings && !this.renderSettings(render) ? '设置无效' : ''
+            ].filter(Boolean).join(' · ');
+            row.append(name, meta);
+
+            const download = document.createElement('button');
+            download.className = 'stage-btn';
+            download.textContent = '⬇';
+            download.title = '下载';
+            download.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.downloadBlob(render.blob, render.name);
+            });
+            row.appendChild(download);
+
+            list.appendChild(row);
+        });
+    }
+
+    async showLibraryUsage() {
+        const usage = document.getElementById('libraryUsage');
+        const estimate = await this.library.estimate();
+        usage.textContent = estimate
+            ? `已用 ${this.formatBytes(estimate.usage)} / 可用 ${this.formatBytes(estimate.quota)}`
+            : '';
+    }
+
+    showLibraryError(error) {
+        console.warn('项目库:', error);
+        document.getElementById('libraryUsage').textContent = `⚠️ ${error.message}`;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    }
+
+    readExportOptions() {
+        const sampleRate = document.getElementById('exportSampleRate').value;
+        this.exportOptions = {
+            bitDepth: parseInt(document.getElementById('exportBitDepth').value, 10),
+            sampleRate: sampleRate ? parseInt(sampleRate, 10) : null,
+            mono: document.getElementById('exportMono').checked,
+            level: document.getElementById('exportLevel').value
+        };
+    }
+
+    // 把渲染所用的效果设置写进 WAV 的 LIST/INFO 块
+    exportOptionsFor(settings) {
+        return {
+            ...this.exportOptions,
+            info: {
+                ISFT: '全损音质生成器',
+                ICMT: JSON.stringify(this.presets.toPortable(settings))
+            }
+        };
+    }
+
+    // 已渲染的结果按新设置重新编码
+    onExportOptionsChanged() {
+        this.readExportOptions();
+        const version = this.history.current;
+        if (!version || !version.result || version.result.mode !== 'distortion' || !version.result.buffer) return;
+
+        const { buffer, seed, settings, loudness } = version.result;
+        const blob = this.distortion.bufferToWav(buffer, this.exportOptionsFor(settings), loudness && loudness.input);
+        this.history.replaceBlob(version, blob, this.outputName(version.source, seed));
+        version.result.loudness = this.distortion.loudness;
+        this.showResult(version.result);
+        this.renderHistory();
+    }
+
+    downloadBlob(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    renderBatchQueue() {
+        const list = document.getElementById('batchQueue');
+        list.innerHTML = '';
+        this.batchRows.clear();
+
+        this.batch.items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'batch-item';
+
+            const header = document.createElement('div');
+            header.className = 'batch-item-header';
+            const name = document.createElement('span');
+            name.className = 'batch-item-name';
+            name.textContent = item.file.name;
+            const status = document.createElement('span');
+            const download = document.createElement('button');
+            download.className = 'stage-btn';
+            download.textContent = '⬇';
+            download.title = '下载';
+            download.addEventListener('click', () => {
+                this.downloadBlob(item.result, this.outputName(item.file, item.seed, item.exportOptions));
+            });
+            header.append(name, status, download);
+
+            const bar = document.createElement('div');
+            bar.className = 'progress-bar';
+            const fill = document.createElement('div');
+            fill.className = 'progress-fill';
+            bar.appendChild(fill);
+
+            row.append(header, bar);
+            list.appendChild(row);
+            this.batchRows.set(item, { status, fill, download });
+            this.updateBatchItem(item);
+        });
+
+        this.updateBatchControls();
+    }
+
+    updateBatchItem(item) {
+        const row = this.batchRows.get(item);
+        if (!row) return;
+
+        const labels = { pending: '等待', processing: '处理中', done: '完成', error: '失败', cancelled: '已取消' };
+        row.status.textContent = item.status === 'processing'
+            ? `${labels.processing} ${Math.round(item.progress)}%`
+            : labels[item.status];
+        row.status.title = item.error || '';
+        row.fill.style.width = `${item.status === 'done' ? 100 : item.progress}%`;
+        row.download.style.display = item.status === 'done' ? 'inline-block' : 'none';
+    }
+
+    updateBatchControls() {
+        const running = this.batch.running;
+        document.getElementById('batchStartBtn').disabled = running;
+        document.getElementById('batchConcurrency').disabled = running;
+        document.getElementById('batchCancelBtn').style.display = running ? 'block' : 'none';
+        document.getElementById('batchZipBtn').disabled = running || !this.batch.completed.length;
+    }
+
+    async runBatch() {
+        if (this.batch.running || !this.batch.items.length) return;
+
+        const seed = this.nextRenderSeed();
+        const settings = structuredClone(this.settings);
+        const concurrency = parseInt(document.getElementById('batchConcurrency').value, 10);
+
+        const exportOptions = this.exportOptionsFor(settings);
+        this.batch.items.forEach(item => {
+            if (item.status === 'done') return;
+            item.seed = seed;
+            item.exportOptions = exportOptions;
+        });
+
+        const run = this.batch.run(settings, concurrency, (item) => this.updateBatchItem(item), exportOptions);
+        this.updateBatchControls();
+        await run;
+        this.updateBatchControls();
+
+        const failed = this.batch.items.filter(item => item.status === 'error');
+        if (failed.length) {
+            console.error('批量处理失败:', failed.map(item => `${item.file.name}: ${item.error}`));
         }
     }
+
+    async downloadBatchZip() {
+        const button = document.getElementById('batchZipBtn');
+        button.disabled = true;
+        try {
+            const zip = await this.batch.buildZip(item => this.outputName(item.file, item.seed, item.exportOptions));
+            this.downloadBlob(zip, `damaged_${this.batch.completed.length}_files.zip`);
+        } catch (error) {
+            console.error('打包失败:', error);
+            alert(`打包失败: ${error.message}`);
+        } finally {
+            this.updateBatchControls();
+        }
+    }
+
+    cancelProcessing() {
+        this.distortion.cancel();
+        this.compressor.cancel();
+    }
+
+    restoreControls(buttonHtml) {
+        document.getElementById('controls').style.display = 'block';
+        document.getElementById('progressContainer').style.display = 'none';
+        document.getElementById('processBtn').innerHTML = buttonHtml;
+        document.getElementById('processBtn').disabled = false;
+        this.setModeTabsDisabled(false);
+    }
+
+    setModeTabsDisabled(disabled) {
+        document.querySelectorAll('.mode-tab').forEach(tab => {
+            tab.disabled = disabled;
+        });
+    }
 }
 
 // 启动应用
@@ -0,0 +1,153 @@
+// 强度自动化编辑器：单击添加断点，拖动移动，双击删除
+class AutomationEditor {
+    constructor(canvas, onChange) {
+        this.canvas = canvas;
+        this.onChange = onChange;
+        this.automation = DamageDSP.createAutomation();
+        this.selected = null;
+        this.dragging = null;
+
+        this.bindEvents();
+    }
+
+    setAutomation(automation) {
+        this.automation = automation;
+        this.selected = null;
+        this.draw();
+    }
+
+    get selectedPoint() {
+        return this.automation.points[this.selected] || null;
+    }
+
+    bindEvents() {
+        this.canvas.style.cursor = 'pointer';
+        this.canvas.style.touchAction = 'none';
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const pos = this.positionAt(e);
+            let index = this.hitTest(e);
+
+            if (index < 0) {
+                const point = { t: pos.t, v: pos.v, curve: 'linear' };
+                this.automation.points.push(point);
+                this.sortPoints();
+                index = this.automation.points.indexOf(point);
+            }
+
+            this.selected = index;
+            this.dragging = this.automation.points[index];
+            this.canvas.setPointerCapture(e.pointerId);
+            this.changed(false);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.dragging) return;
+            const pos = this.positionAt(e);
+            this.dragging.t = pos.t;
+            this.dragging.v = pos.v;
+            this.sortPoints();
+            this.selected = this.automation.points.indexOf(this.dragging);
+            this.changed(false);
+        });
+
+        this.canvas.addEventListener('pointerup', () => {
+            if (!this.dragging) return;
+            this.dragging = null;
+            this.changed(true);
+        });
+
+        this.canvas.addEventListener('dblclick', (e) => {
+            const index = this.hitTest(e);
+            if (index < 0 || this.automation.points.length <= 2) return;
+            this.automation.points.splice(index, 1);
+            this.selected = null;
+            this.changed(true);
+        });
+    }
+
+    setSelectedCurve(curve) {
+        const point = this.selectedPoint;
+        if (!point) return;
+        point.curve = curve;
+        this.changed(true);
+    }
+
+    // 快捷形状
+    applyShape(shape) {
+        const shapes = {
+            decay: [
+                { t: 0, v: 0, curve: 'exp' },
+                { t: 1, v: 1, curve: 'linear' }
+            ],
+            recover: [
+                { t: 0, v: 1, curve: 'exp' },
+                { t: 1, v: 0, curve: 'linear' }
+            ],
+            pulse: Array.from({ length: 9 }, (_, i) => ({ t: i / 8, v: i % 2, curve: 'linear' }))
+        };
+        this.automation.points = shapes[shape].map(point => ({ ...point }));
+        this.selected = null;
+        this.changed(true);
+    }
+
+    sortPoints() {
+        this.automation.points.sort((a, b) => a.t - b.t);
+    }
+
+    changed(committed) {
+        this.draw();
+        this.onChange(this.automation, committed);
+    }
+
+    positionAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            t: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+            v: Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height))
+        };
+    }
+
+    hitTest(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        return this.automation.points.findIndex(point =>
+            Math.hypot(point.t * rect.width - x, (1 - point.v) * rect.height - y) < 8
+        );
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.max(1, Math.floor(canvas.clientWidth * ratio));
+        canvas.height = Math.max(1, Math.floor(canvas.clientHeight * ratio));
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.globalAlpha = this.automation.enabled ? 1 : 0.4;
+
+        // 用与渲染相同的求值函数画曲线
+        const curve = DamageDSP.createAutomationCurve({ ...this.automation, enabled: true }, width);
+        ctx.strokeStyle = '#ffc800';
+        ctx.lineWidth = 2 * ratio;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x++) {
+            const y = (1 - curve(x)) * height;
+            if (x === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        this.automation.points.forEach((point, index) => {
+            ctx.fillStyle = index === this.selected ? '#ff006e' : '#ffffff';
+            ctx.beginPath();
+            ctx.arc(point.t * width, (1 - point.v) * height, 4 * ratio, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.globalAlpha = 1;
+    }
+}
@@ -0,0 +1,91 @@
+// 批量处理：同一组设置依次或并行处理多个文件
+class BatchProcessor {
+    constructor(loader) {
+        this.loader = loader;
+        this.items = [];
+        this.engines = [];
+        this.running = false;
+        this.cancelled = false;
+    }
+
+    setFiles(files) {
+        this.items = files.map(file => ({ file, status: 'pending', progress: 0, result: null, error: null }));
+    }
+
+    // concurrency 为 1 时顺序处理；各并行槽位有独立的解码缓存，但共用同一个 AudioContext
+    async run(settings, concurrency, onUpdate, exportOptions = {}) {
+        const context = this.loader.ensureContext();
+        const queue = this.items.filter(item => item.status !== 'done');
+        queue.forEach(item => {
+            item.status = 'pending';
+            item.progress = 0;
+            item.error = null;
+            onUpdate(item);
+        });
+
+        this.running = true;
+        this.cancelled = false;
+        this.engines = Array.from({ length: concurrency }, () => new DistortionEngine(new AudioLoader(context)));
+
+        let next = 0;
+        const runSlot = async (engine) => {
+            while (!this.cancelled && next < queue.length) {
+                const item = queue[next++];
+                item.status = 'processing';
+                onUpdate(item);
+
+                try {
+                    item.result = await engine.addDistortion(item.file, settings, (progress) => {
+                        item.progress = progress;
+                        onUpdate(item);
+                    }, exportOptions);
+                    item.status = 'done';
+                } catch (error) {
+                    item.status = error.name === 'AbortError' ? 'cancelled' : 'error';
+                    item.error = error.message;
+                }
+
+                // 释放解码缓存，避免整批文件同时驻留内存
+                engine.clearCache();
+                onUpdate(item);
+            }
+        };
+
+        try {
+            await Promise.all(this.engines.map(runSlot));
+        } finally {
+            queue.filter(item => item.status === 'pending').forEach(item => {
+                item.status = 'cancelled';
+                onUpdate(item);
+            });
+            this.engines = [];
+            this.running = false;
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.engines.forEach(engine => engine.cancel());
+    }
+
+    get completed() {
+        return this.items.filter(item => item.status === 'done');
+    }
+
+    // nameFor(item) 返回压缩包内文件名，重名自动加序号
+    async buildZip(nameFor) {
+        const zip = new ZipWriter();
+        const used = new Set();
+
+        for (const item of this.completed) {
+            let name = nameFor(item);
+            for (let n = 2; used.has(name); n++) {
+                name = nameFor(item).replace(/(\.[^.]+)?$/, ` (${n})$1`);
+            }
+            used.add(name);
+            await zip.addBlob(name, item.result);
+        }
+
+        return zip.toBlob();
+    }
+}
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// 命令行批量损坏：yjjz-damage in.wav -t crushed -i 7 --noise -o out.wav
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DamageDSP, damageWavFile } = require('../headless.js');
+
+const USAGE = `用法: yjjz-damage <输入.wav>... [选项]
+
+选项:
+  -t, --type <名称>       效果类型，多个用逗号分隔按顺序串联（默认 digital）
+  -i, --intensity <1-10>  损坏强度（默认 5）
+  -s, --seed <整数>       随机种子，相同种子输出完全一致（默认随机）
+      --noise             追加底噪
+      --crackle           追加爆裂音
+  -b, --bits <8|16|24|32>  输出位深，32 为浮点（默认 16）
+  -r, --rate <Hz>         重采样到指定采样率（默认保持原采样率）
+      --mono              混缩为单声道
+      --level <方式>      none / normalize（峰值归一化）/ limit（峰值限制）/ match（响度与原始输入一致），默认 none
+  -o, --output <路径>     单个输入时为输出文件，多个输入时为输出目录
+      --list              列出可用效果
+  -h, --help              显示帮助
+
+未指定 -o 时输出到输入文件旁：damaged_<原文件名>_seed<种子>.wav`;
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            type: { type: 'string', short: 't', default: 'digital' },
+            intensity: { type: 'string', short: 'i', default: '5' },
+            seed: { type: 'string', short: 's' },
+            noise: { type: 'boolean', default: false },
+            crackle: { type: 'boolean', default: false },
+            bits: { type: 'string', short: 'b', default: '16' },
+            rate: { type: 'string', short: 'r' },
+            mono: { type: 'boolean', default: false },
+            level: { type: 'string', default: 'none' },
+            output: { type: 'string', short: 'o' },
+            list: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const intensity = Number(values.intensity);
+    if (!Number.isInteger(intensity) || intensity < 1 || intensity > 10) {
+        throw new Error(`强度须为 1–10 的整数: ${values.intensity}`);
+    }
+
+    const seed = values.seed === undefined ? Math.floor(Math.random() * 0x100000000) : Number(values.seed);
+    if (!Number.isInteger(seed) || seed < 0) {
+        throw new Error(`种子须为非负整数: ${values.seed}`);
+    }
+
+    const types = values.type.split(',').map(type => type.trim()).filter(Boolean);
+    types.forEach(type => {
+        if (!DamageDSP.effects[type]) {
+            throw new Error(`未知效果: ${type}（可用: ${Object.keys(DamageDSP.effects).join(', ')}）`);
+        }
+    });
+
+    const chain = types.map(type => DamageDSP.createStage(type, intensity));
+    if (values.noise) chain.push(DamageDSP.createStage('noise', intensity));
+    if (values.crackle) chain.push(DamageDSP.createStage('crackle', intensity));
+
+    const bitDepth = Number(values.bits);
+    if (![8, 16, 24, 32].includes(bitDepth)) {
+        throw new Error(`位深须为 8/16/24/32: ${values.bits}`);
+    }
+
+    const sampleRate = values.rate === undefined ? null : Number(values.rate);
+    if (sampleRate !== null && (!Number.isInteger(sampleRate) || sampleRate < 1000 || sampleRate > 192000)) {
+        throw new Error(`采样率须为 1000–192000 的整数: ${values.rate}`);
+    }
+
+    if (!['none', 'normalize', 'limit', 'match'].includes(values.level)) {
+        throw new Error(`未知电平处理方式: ${values.level}`);
+    }
+
+    const settings = { seed: seed >>> 0, chain };
+    const exportOptions = {
+        bitDepth,
+        sampleRate,
+        mono: values.mono,
+        level: values.level,
+        info: {
+            ISFT: 'yjjz-damage',
+            ICMT: JSON.stringify({
+                seed: settings.seed,
+                chain: chain.map(({ type, intensity, bypass, params }) => ({ type, intensity, bypass, params }))
+            })
+        }
+    };
+
+    return { ...values, inputs: positionals, settings, exportOptions };
+}
+
+function formatLufs({ lufs }) {
+    return Number.isFinite(lufs) ? `${lufs.toFixed(1)} LUFS` : '静音';
+}
+
+function outputPath(input, options) {
+    const name = `damaged_${path.basename(input).replace(/\.[^/.]+$/, '')}_seed${options.settings.seed}.wav`;
+    if (!options.output) return path.join(path.dirname(input), name);
+    if (options.inputs.length === 1) return options.output;
+    return path.join(options.output, name);
+}
+
+function main(argv) {
+    const options = parseOptions(argv);
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.list) {
+        Object.entries(DamageDSP.effects).forEach(([name, effect]) => {
+            console.log(`${name.padEnd(10)} ${effect.label}`);
+        });
+        return;
+    }
+
+    if (!options.inputs.length) {
+        throw new Error(`缺少输入文件\n\n${USAGE}`);
+    }
+
+    if (options.output && options.inputs.length > 1) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
+
+    console.error(`🎲 种子: ${options.settings.seed}`);
+
+    let failed = 0;
+    options.inputs.forEach(input => {
+        try {
+            const output = outputPath(input, options);
+            const loudness = damageWavFile(input, output, options.settings, options.exportOptions);
+            console.error(`✅ ${input} → ${output}（${formatLufs(loudness.input)} → ${formatLufs(loudness.output)}）`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${input}: ${error.message}`);
+        }
+    });
+
+    if (failed) process.exitCode = 1;
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,192 @@
+// 效果链编辑器：添加/删除/排序/旁路，每级独立强度与参数
+class EffectChainEditor {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.chain = [];
+        this.channelLabels = null; // 多声道文件时为两个声道的名称，显示每级的声道选择
+    }
+
+    setChannelLabels(labels) {
+        this.channelLabels = labels;
+        this.render();
+    }
+
+    setChain(chain) {
+        this.chain = chain;
+        this.render();
+    }
+
+    add(type) {
+        const stage = DamageDSP.createStage(type);
+        if (DamageDSP.effects[type].curve) stage.curve = DamageDSP.createCurve();
+        this.chain.push(stage);
+        this.changed(true);
+    }
+
+    // 脚本效果被删除时一并移除用到它的效果级
+    removeType(type) {
+        const chain = this.chain.filter(stage => stage.type !== type);
+        if (chain.length === this.chain.length) return;
+        this.chain.splice(0, this.chain.length, ...chain);
+        this.changed(true);
+    }
+
+    remove(index) {
+        this.chain.splice(index, 1);
+        this.changed(true);
+    }
+
+    move(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.chain.length) return;
+        [this.chain[index], this.chain[target]] = [this.chain[target], this.chain[index]];
+        this.changed(true);
+    }
+
+    changed(structural) {
+        if (structural) this.render();
+        this.onChange(this.chain);
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (!this.chain.length) {
+            const empty = document.createElement('p');
+            empty.style.cssText = 'opacity: 0.6; text-align: center; margin: 8px 0;';
+            empty.textContent = '效果链为空，原声直通';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        this.chain.forEach((stage, index) => {
+            this.container.appendChild(this.renderStage(stage, index));
+        });
+    }
+
+    renderStage(stage, index) {
+        const effect = DamageDSP.effects[stage.type];
+        const card = document.createElement('div');
+        card.className = 'effect-stage' + (stage.bypass ? ' bypassed' : '');
+
+        // 标题栏：序号 + 名称 + 操作按钮
+        const header = document.createElement('div');
+        header.className = 'effect-stage-header';
+        const title = document.createElement('span');
+        title.textContent = `${index + 1}. ${effect.label}`;
+        header.appendChild(title);
+
+        const actions = document.createElement('span');
+        actions.append(
+            this.createButton('↑', '上移', index === 0, () => this.move(index, -1)),
+            this.createButton('↓', '下移', index === this.chain.length - 1, () => this.move(index, 1)),
+            this.createButton(stage.bypass ? '▶' : '⏸', stage.bypass ? '启用' : '旁路', false, () => {
+                stage.bypass = !stage.bypass;
+                this.changed(true);
+            }),
+            this.createButton('✕', '移除', false, () => this.remove(index))
+        );
+        header.appendChild(actions);
+        card.appendChild(header);
+
+        card.appendChild(this.createSlider('强度', { min: 1, max: 10, step: 1 }, stage.intensity, (value) => {
+            stage.intensity = value;
+        }));
+
+        if (this.channelLabels) card.appendChild(this.createChannelSelect(stage));
+
+        const params = DamageDSP.getParams(stage);
+        effect.params.forEach(def => {
+            card.appendChild(this.createSlider(def.label, def, params[def.key], (value) => {
+                stage.params = { ...stage.params, [def.key]: value };
+            }));
+        });
+
+        if (effect.curve) card.appendChild(this.createCurveEditor(stage));
+        if (effect.script) {
+            const note = document.createElement('small');
+            note.style.cssText = 'display: block; opacity: 0.7; margin-top: 4px;';
+            note.textContent = '脚本效果只在生成时运行，试听与实时模式中为直通';
+            card.appendChild(note);
+        }
+
+        return card;
+    }
+
+    // 曲线松手后才通知变更，拖动过程中只重绘
+    createCurveEditor(stage) {
+        if (!stage.curve) stage.curve = DamageDSP.createCurve();
+        const group = document.createElement('div');
+        const canvas = document.createElement('canvas');
+        canvas.style.cssText = 'width: 100%; height: 120px; display: block; border-radius: 5px; margin: 6px 0;';
+
+        const editor = new CurveEditor(canvas, (points, committed) => {
+            if (committed) this.changed(false);
+        });
+        editor.setCurve(stage.curve);
+
+        const shapes = document.createElement('div');
+        [['linear', '直通'], ['soft', '软削波'], ['hard', '硬削波'], ['fold', '折返']].forEach(([shape, text]) => {
+            shapes.appendChild(this.createButton(text, `曲线形状：${text}`, false, () => editor.applyShape(shape)));
+        });
+
+        group.append(canvas, shapes);
+        // 画布加入页面、有了尺寸之后再画
+        requestAnimationFrame(() => editor.draw());
+        return group;
+    }
+
+    createChannelSelect(stage) {
+        const label = document.createElement('label');
+        label.className = 'stage-label';
+        label.append('声道: ');
+
+        const select = document.createElement('select');
+        select.style.cssText = 'padding: 2px; background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.3); border-radius: 5px; color: white;';
+        select.add(new Option('全部', ''));
+        this.channelLabels.forEach((name, channel) => select.add(new Option(name, String(channel))));
+        select.value = stage.channel === 0 || stage.channel === 1 ? String(stage.channel) : '';
+        select.addEventListener('change', () => {
+            stage.channel = select.value === '' ? null : parseInt(select.value, 10);
+            this.changed(false);
+        });
+
+        label.appendChild(select);
+        return label;
+    }
+
+    createButton(text, title, disabled, onClick) {
+        const button = document.createElement('button');
+        button.className = 'stage-btn';
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createSlider(labelText, range, initial, onInput) {
+        const group = document.createElement('div');
+        const label = document.createElement('label');
+        label.className = 'stage-label';
+        const value = document.createElement('span');
+        value.textContent = initial;
+        label.append(`${labelText}: `, value);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = range.min;
+        slider.max = range.max;
+        slider.step = range.step;
+        slider.value = initial;
+        slider.addEventListener('input', () => {
+            value.textContent = slider.value;
+            onInput(parseFloat(slider.value));
+            this.changed(false);
+        });
+
+        group.append(label, slider);
+        return group;
+    }
+}
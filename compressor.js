@@ -1,20 +1,34 @@
+// 压缩模式：离线渲染降采样 + 动态压缩，再做位深量化并编码为 IMA-ADPCM WAV
 class AudioCompressor {
-    constructor() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    // 与失真模式共用同一个 loader，切换模式时不必重新解码
+    constructor(loader = new AudioLoader()) {
+        this.loader = loader;
+        this.aborted = false;
+        this.processedBuffer = null;
     }
 
-    async compressAudio(file, qualityLevel, onProgress) {
-        const audioBuffer = await this.fileToAudioBuffer(file);
+    // curve 为自定义传输曲线的控制点（见 DamageDSP.createCurve），给出时替代固定失真公式，各等级都生效
+    async compressAudio(file, qualityLevel, onProgress, curve = null) {
+        // 验证时的试解码期间也可以取消，所以先清除上一次的取消标记
+        this.aborted = false;
+        await this.loader.validateFile(file);
+        if (this.aborted) throw AudioLoader.createAbortError();
+        if (this.loader.shouldStream(file)) {
+            throw new Error('压缩模式不支持超过50MB的文件，请使用失真模式');
+        }
+        const audioBuffer = await this.loader.decodeFile(file);
+        if (this.aborted) throw AudioLoader.createAbortError();
         const duration = audioBuffer.duration;
         
         // 根据等级设置参数
         const settings = this.getQualitySettings(qualityLevel);
         
-        // 创建离线音频上下文
+        // 创建离线音频上下文：目标采样率由浏览器重采样完成降采样，单声道时自动混缩
+        const channels = settings.mono ? 1 : audioBuffer.numberOfChannels;
         const offlineContext = new OfflineAudioContext(
-            audioBuffer.numberOfChannels,
-            audioBuffer.length,
-            audioBuffer.sampleRate
+            channels,
+            Math.ceil(duration * settings.sampleRate),
+            settings.sampleRate
         );
 
         // 创建源节点
@@ -33,14 +47,15 @@ class AudioCompressor {
         compressor.release.setValueAtTime(0.1, offlineContext.currentTime);
 
         // 设置失真
-        if (settings.distortion > 0) {
-            waveShaper.curve = this.makeDistortionCurve(settings.distortion);
+        const shaped = Boolean(curve) || settings.distortion > 0;
+        if (shaped) {
+            waveShaper.curve = curve ? DamageDSP.curveTable(curve) : this.makeDistortionCurve(settings.distortion);
             waveShaper.oversample = '4x';
         }
 
         // 连接节点
         source.connect(compressor);
-        if (settings.distortion > 0) {
+        if (shaped) {
             compressor.connect(waveShaper);
             waveShaper.connect(offlineContext.destination);
         } else {
@@ -60,22 +75,34 @@ class AudioCompressor {
 
         // 开始渲染
         source.start();
-        const renderedBuffer = await offlineContext.startRendering();
-        
-        clearInterval(progressInterval);
+        let renderedBuffer;
+        try {
+            renderedBuffer = await offlineContext.startRendering();
+        } finally {
+            clearInterval(progressInterval);
+        }
+
+        // 离线渲染无法中途停止，完成后丢弃结果
+        if (this.aborted) throw AudioLoader.createAbortError();
         onProgress(100);
 
-        // 转换为MP3并返回
-        return this.audioBufferToBlob(renderedBuffer, settings.bitrate);
+        // 位深压缩后编码为 IMA-ADPCM WAV
+        const blob = this.audioBufferToBlob(renderedBuffer, settings);
+        this.processedBuffer = renderedBuffer;
+        return blob;
+    }
+
+    cancel() {
+        this.aborted = true;
     }
 
     getQualitySettings(level) {
         const settings = {
-            1: { threshold: -50, knee: 40, ratio: 12, distortion: 0, bitrate: 3000 },   // 压缩到3比特
-            2: { threshold: -40, knee: 30, ratio: 10, distortion: 0, bitrate: 2000 },   // 压缩到2比特
-            3: { threshold: -30, knee: 20, ratio: 8, distortion: 0, bitrate: 1000 },    // 压缩到1比特
-            4: { threshold: -20, knee: 10, ratio: 6, distortion: 20, bitrate: 1000 },   // 1比特 + 轻度失真
-            5: { threshold: -10, knee: 0, ratio: 4, distortion: 50, bitrate: 1000 }     // 1比特 + 强烈失真
+            1: { threshold: -50, knee: 40, ratio: 12, distortion: 0, bitDepth: 3, sampleRate: 22050, mono: false },  // 3比特, 22kHz
+            2: { threshold: -40, knee: 30, ratio: 10, distortion: 0, bitDepth: 2, sampleRate: 16000, mono: true },   // 2比特, 16kHz 单声道
+            3: { threshold: -30, knee: 20, ratio: 8, distortion: 0, bitDepth: 1, sampleRate: 11025, mono: true },    // 1比特, 11kHz 单声道
+            4: { threshold: -20, knee: 10, ratio: 6, distortion: 20, bitDepth: 1, sampleRate: 8000, mono: true },    // 1比特, 8kHz + 轻度失真
+            5: { threshold: -10, knee: 0, ratio: 4, distortion: 50, bitDepth: 1, sampleRate: 8000, mono: true }      // 1比特, 8kHz + 强烈失真
         };
         return settings[level];
     }
@@ -93,48 +120,19 @@ class AudioCompressor {
         return curve;
     }
 
-    async fileToAudioBuffer(file) {
-        const arrayBuffer = await file.arrayBuffer();
-        return await this.audioContext.decodeAudioData(arrayBuffer);
+    audioBufferToBlob(buffer, settings) {
+        const channels = WavCodec.channelsOf(buffer);
+        channels.forEach(data => this.reduceBitDepth(data, settings.bitDepth));
+        return new Blob([WavCodec.encodeImaAdpcm(channels, buffer.sampleRate)], { type: 'audio/wav' });
     }
 
-    async audioBufferToBlob(buffer, bitrate) {
-        // 使用Web Audio API转换为WAV格式
-        const length = buffer.length * buffer.numberOfChannels * 2;
-        const arrayBuffer = new ArrayBuffer(44 + length);
-        const view = new DataView(arrayBuffer);
-        
-        // WAV文件头
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
-        
-        writeString(0, 'RIFF');
-        view.setUint32(4, 36 + length, true);
-        writeString(8, 'WAVE');
-        writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
-        view.setUint16(22, buffer.numberOfChannels, true);
-        view.setUint32(24, buffer.sampleRate, true);
-        view.setUint32(28, buffer.sampleRate * buffer.numberOfChannels * 2, true);
-        view.setUint16(32, buffer.numberOfChannels * 2, true);
-        view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, length, true);
-        
-        // 音频数据
-        let offset = 44;
-        for (let i = 0; i < buffer.length; i++) {
-            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-                const sample = Math.max(-1, Math.min(1, buffer.getChannelData(channel)[i]));
-                view.setInt16(offset, sample * 0x7FFF, true);
-                offset += 2;
-            }
+    // 中升型量化：bits 比特对应 2^bits 个电平，1比特即只保留正负号
+    reduceBitDepth(data, bits) {
+        const step = 2 / Math.pow(2, bits);
+        const max = 1 - step / 2;
+        for (let i = 0; i < data.length; i++) {
+            const level = (Math.floor(data[i] / step) + 0.5) * step;
+            data[i] = Math.max(-max, Math.min(max, level));
         }
-        
-        return new Blob([arrayBuffer], { type: 'audio/wav' });
     }
 }
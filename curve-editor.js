@@ -0,0 +1,159 @@
+// 传输曲线编辑器：横轴输入、纵轴输出（均为 -1…1），单击添加控制点，拖动移动，双击删除
+// 首尾两点只能上下移动；曲线与渲染共用 DamageDSP.curveTable
+class CurveEditor {
+    constructor(canvas, onChange) {
+        this.canvas = canvas;
+        this.onChange = onChange;
+        this.points = DamageDSP.createCurve();
+        this.selected = null;
+        this.dragging = null;
+
+        this.bindEvents();
+    }
+
+    setCurve(points) {
+        this.points = points;
+        this.selected = null;
+        this.draw();
+    }
+
+    bindEvents() {
+        this.canvas.style.cursor = 'pointer';
+        this.canvas.style.touchAction = 'none';
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const pos = this.positionAt(e);
+            let index = this.hitTest(e);
+
+            if (index < 0) {
+                const point = { x: this.innerX(pos.x), y: pos.y };
+                this.points.push(point);
+                this.sortPoints();
+                index = this.points.indexOf(point);
+            }
+
+            this.selected = index;
+            this.dragging = this.points[index];
+            this.canvas.setPointerCapture(e.pointerId);
+            this.changed(false);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.dragging) return;
+            const pos = this.positionAt(e);
+            if (!this.isEndpoint(this.dragging)) this.dragging.x = this.innerX(pos.x);
+            this.dragging.y = pos.y;
+            this.sortPoints();
+            this.selected = this.points.indexOf(this.dragging);
+            this.changed(false);
+        });
+
+        this.canvas.addEventListener('pointerup', () => {
+            if (!this.dragging) return;
+            this.dragging = null;
+            this.changed(true);
+        });
+
+        this.canvas.addEventListener('dblclick', (e) => {
+            const index = this.hitTest(e);
+            if (index < 0 || this.isEndpoint(this.points[index])) return;
+            this.points.splice(index, 1);
+            this.selected = null;
+            this.changed(true);
+        });
+    }
+
+    // 快捷形状，原地替换控制点，引用不变
+    applyShape(shape) {
+        const sample = (fn, count = 17) => Array.from({ length: count }, (_, i) => {
+            const x = i / (count - 1) * 2 - 1;
+            return { x, y: Math.max(-1, Math.min(1, fn(x))) };
+        });
+        const shapes = {
+            linear: () => [{ x: -1, y: -1 }, { x: 1, y: 1 }],
+            soft: () => sample(x => Math.tanh(2.5 * x) / Math.tanh(2.5)),
+            hard: () => [{ x: -1, y: -0.5 }, { x: -0.5, y: -0.5 }, { x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }],
+            fold: () => sample(x => Math.sin(x * Math.PI * 1.5), 25)
+        };
+        this.points.splice(0, this.points.length, ...shapes[shape]());
+        this.selected = null;
+        this.changed(true);
+    }
+
+    isEndpoint(point) {
+        return point === this.points[0] || point === this.points[this.points.length - 1];
+    }
+
+    // 中间的点不能压到首尾两点上
+    innerX(x) {
+        return Math.max(-0.99, Math.min(0.99, x));
+    }
+
+    sortPoints() {
+        this.points.sort((a, b) => a.x - b.x);
+    }
+
+    changed(committed) {
+        this.draw();
+        this.onChange(this.points, committed);
+    }
+
+    positionAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: Math.max(-1, Math.min(1, (e.clientX - rect.left) / rect.width * 2 - 1)),
+            y: Math.max(-1, Math.min(1, 1 - (e.clientY - rect.top) / rect.height * 2))
+        };
+    }
+
+    hitTest(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        return this.points.findIndex(point =>
+            Math.hypot((point.x + 1) / 2 * rect.width - x, (1 - point.y) / 2 * rect.height - y) < 8
+        );
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.max(1, Math.floor(canvas.clientWidth * ratio));
+        canvas.height = Math.max(1, Math.floor(canvas.clientHeight * ratio));
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, width, height);
+
+        // 坐标轴与直通参考线
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = ratio;
+        ctx.beginPath();
+        ctx.moveTo(width / 2, 0);
+        ctx.lineTo(width / 2, height);
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.moveTo(0, height);
+        ctx.lineTo(width, 0);
+        ctx.stroke();
+
+        const table = DamageDSP.curveTable(this.points, Math.max(2, width + 1));
+        ctx.strokeStyle = '#ffc800';
+        ctx.lineWidth = 2 * ratio;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x++) {
+            const y = (1 - table[x]) / 2 * height;
+            if (x === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        this.points.forEach((point, index) => {
+            ctx.fillStyle = index === this.selected ? '#ff006e' : '#ffffff';
+            ctx.beginPath();
+            ctx.arc((point.x + 1) / 2 * width, (1 - point.y) / 2 * height, 4 * ratio, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
@@ -0,0 +1,56 @@
+// 失真处理Worker：逐样本运算放到后台线程，页面不再卡死
+importScripts('dsp.js', 'wav.js', 'stream.js', 'script-sandbox.js');
+
+// 用户脚本效果在本线程执行，与这里的代码共用一个全局环境：
+// 先屏蔽网络、存储与消息接口，回复只经由事先保存的 post；其余状态都包在函数里，脚本拿不到
+(function (DamageDSP, StreamPipeline, UserScriptSandbox) {
+    const post = UserScriptSandbox.lockdown(self);
+
+    // 每个 Worker 只处理一个任务：按它的设置注册脚本效果，随后冻结处理代码，再开始编译运行脚本
+    function registerScripts(settings) {
+        DamageDSP.registerScripts(settings.scripts, (script, stage, context) => UserScriptSandbox.compile(script, stage, context));
+        UserScriptSandbox.freeze(self, ['DamageDSP', 'WavCodec', 'StreamPipeline', 'UserScriptSandbox']);
+    }
+
+    // 分段处理的状态：stream-start → stream-chunk × N → stream-end，每条消息回复一次
+    let pipeline = null;
+
+    const streamHandlers = {
+        'stream-start'(data) {
+            registerScripts(data.settings);
+            pipeline = new StreamPipeline(data);
+            post({ type: 'ready' });
+        },
+
+        'stream-chunk'(data) {
+            const bytes = pipeline.push(data.channels);
+            post({ type: 'chunk', bytes }, [bytes]);
+        },
+
+        'stream-end'() {
+            const bytes = pipeline.finish();
+            const header = pipeline.header();
+            post({ type: 'end', bytes, header, peak: pipeline.peak, loudness: pipeline.loudness() }, [bytes, header]);
+            pipeline = null;
+        }
+    };
+
+    // 用 addEventListener 而不是 onmessage：脚本拿不到这个函数，也就无法替换或移除它
+    self.addEventListener('message', (e) => {
+        if (streamHandlers[e.data.type]) {
+            streamHandlers[e.data.type](e.data);
+            return;
+        }
+
+        const { channels, settings, sampleRate } = e.data;
+        const input = DamageDSP.measureLoudness(channels, sampleRate);
+        registerScripts(settings);
+
+        DamageDSP.processChannels(channels, settings, sampleRate, (progress) => {
+            post({ type: 'progress', progress });
+        });
+
+        // 原地处理后把缓冲区转移回主线程，不做拷贝
+        post({ type: 'done', channels, input }, channels.map(data => data.buffer));
+    });
+})(DamageDSP, StreamPipeline, UserScriptSandbox);
@@ -0,0 +1,1235 @@
+// 纯DSP核心：不依赖DOM，页面、Worker、AudioWorklet 共用同一份效果链算法
+(function (root) {
+    // RBJ 双二阶滤波器（Audio EQ Cookbook）
+    class Biquad {
+        constructor(type, sampleRate) {
+            this.type = type;
+            this.sampleRate = sampleRate;
+            this.b0 = 1; this.b1 = 0; this.b2 = 0; this.a1 = 0; this.a2 = 0;
+            this.x1 = 0; this.x2 = 0; this.y1 = 0; this.y2 = 0;
+        }
+
+        set(frequency, q) {
+            const w0 = 2 * Math.PI * frequency / this.sampleRate;
+            const cos = Math.cos(w0);
+            const alpha = Math.sin(w0) / (2 * q);
+            let b0, b1, b2;
+
+            switch (this.type) {
+                case 'lowpass':
+                    b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = (1 - cos) / 2;
+                    break;
+                case 'highpass':
+                    b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2;
+                    break;
+                case 'bandpass':
+                    b0 = alpha; b1 = 0; b2 = -alpha;
+                    break;
+                default:
+                    throw new Error(`未知滤波器类型: ${this.type}`);
+            }
+
+            const a0 = 1 + alpha;
+            this.b0 = b0 / a0;
+            this.b1 = b1 / a0;
+            this.b2 = b2 / a0;
+            this.a1 = -2 * cos / a0;
+            this.a2 = (1 - alpha) / a0;
+        }
+
+        process(x) {
+            const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+            this.x2 = this.x1; this.x1 = x;
+            this.y2 = this.y1; this.y1 = y;
+            return y;
+        }
+    }
+
+    // BS.1770 K 计权：高频搁架 + RLB 高通，系数按采样率换算（与 libebur128 相同）
+    function createKWeighting(sampleRate) {
+        const stages = [];
+        let k = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        const vh = Math.pow(10, 3.999843853973347 / 20);
+        const vb = Math.pow(vh, 0.4996667741545416);
+        let q = 0.7071752369554196;
+        let a0 = 1 + k / q + k * k;
+        stages.push([(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0,
+            2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]);
+
+        k = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        q = 0.5003270373238773;
+        a0 = 1 + k / q + k * k;
+        stages.push([1, -2, 1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]);
+
+        const state = stages.map(() => new Float64Array(4)); // x1 x2 y1 y2
+        return (x) => {
+            for (let i = 0; i < stages.length; i++) {
+                const [b0, b1, b2, a1, a2] = stages[i];
+                const z = state[i];
+                const y = b0 * x + b1 * z[0] + b2 * z[1] - a1 * z[2] - a2 * z[3];
+                z[1] = z[0]; z[0] = x;
+                z[3] = z[2]; z[2] = y;
+                x = y;
+            }
+            return x;
+        };
+    }
+
+    let nextStageId = 1;
+
+    const DamageDSP = {
+        Biquad,
+
+        // mulberry32：同一种子必然产生同一随机序列，渲染结果可复现
+        createRandom(seed) {
+            let state = seed >>> 0;
+            return () => {
+                state = (state + 0x6D2B79F5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        },
+
+        // 效果注册表：name → { label, params, create(stage, context) }
+        // create 返回逐样本函数，滤波器等状态保存在闭包里
+        effects: {},
+
+        registerEffect(name, definition) {
+            this.effects[name] = { params: [], ...definition };
+        },
+
+        // 用户脚本效果：scripts 为 [{ type, label, code }]，先移除之前注册的脚本效果
+        // compile(script, stage, context) 返回逐样本函数，只有渲染 Worker 提供（见 script-sandbox.js）
+        // 不提供时注册为直通，试听与实时模式据此识别效果而不执行用户代码
+        registerScripts(scripts = [], compile = null) {
+            Object.keys(this.effects).forEach(name => {
+                if (this.effects[name].script) delete this.effects[name];
+            });
+            scripts.forEach(script => {
+                this.registerEffect(script.type, {
+                    label: script.label,
+                    script: true,
+                    create: compile ? (stage, context) => compile(script, stage, context) : () => (sample) => sample
+                });
+            });
+        },
+
+        // channel 为 null 时作用于所有声道；0/1 只作用于左/右（M/S 模式下为中/侧）声道
+        createStage(type, intensity = 5) {
+            return { id: nextStageId++, type, intensity, bypass: false, channel: null, params: {} };
+        },
+
+        // 旧版单一类型设置（type/intensity/noise/crackle）转换为效果链
+        normalizeSettings(settings) {
+            if (settings.chain) return settings;
+
+            const { type, intensity, noise, crackle, ...rest } = settings;
+            const chain = [this.createStage(type || 'digital', intensity)];
+            if (noise) chain.push(this.createStage('noise', intensity));
+            if (crackle) chain.push(this.createStage('crackle', intensity));
+            return { ...rest, chain };
+        },
+
+        getParams(stage) {
+            const params = {};
+            this.effects[stage.type].params.forEach(def => {
+                params[def.key] = def.value;
+            });
+            return Object.assign(params, stage.params);
+        },
+
+        // 每个声道一个处理器，按链顺序依次处理后限幅
+        // 各级参数在处理过程中实时读取，原地修改即可生效
+        // amount 为自动化包络值，按比例缩放每级强度（最低为1）
+        // channel 为该处理器的声道序号，跳过指定了其他声道的效果级；单声道时传 null，所有效果级都生效
+        // 逐样本函数的 latency 为效果自报的输出延迟（样本数），链的延迟为各级之和；
+        // 旁通或不作用于本声道的有延迟效果级改走等长延迟线，所以各声道、各时刻的延迟都相同
+        // 返回的处理器带有 latency 与 dry（与之等长、供混合原声用的延迟线）
+        createChannelProcessor(settings, sampleRate, random, channel = null) {
+            const context = { sampleRate, random };
+            const stages = settings.chain.map(stage => {
+                const effect = this.effects[stage.type];
+                if (!effect) throw new Error(`未知效果: ${stage.type}`);
+
+                // 效果拿到的是继承 stage 的视图，只覆盖 intensity
+                const view = Object.create(stage);
+                view.intensity = stage.intensity;
+                const process = effect.create(view, context);
+                const latency = process.latency || 0;
+                return { stage, view, process, latency, skip: latency ? this.createDelay(latency) : null };
+            });
+            const latency = stages.reduce((sum, stage) => sum + stage.latency, 0);
+
+            const processor = (sample, amount = 1) => {
+                for (let i = 0; i < stages.length; i++) {
+                    const { stage, view, process, skip } = stages[i];
+                    if (stage.bypass || (channel !== null && stage.channel !== null && stage.channel !== undefined && stage.channel !== channel)) {
+                        if (skip) sample = skip(sample);
+                        continue;
+                    }
+                    view.intensity = amount === 1 ? stage.intensity : Math.max(1, stage.intensity * amount);
+                    sample = process(sample);
+                }
+                return Math.max(-1, Math.min(1, sample));
+            };
+            processor.latency = latency;
+            processor.dry = this.createDelay(latency);
+            return processor;
+        },
+
+        // 固定长度的延迟线，length 为 0 时原样返回
+        createDelay(length) {
+            if (!length) return (sample) => sample;
+            const buffer = new Float64Array(length);
+            let position = 0;
+            return (sample) => {
+                const out = buffer[position];
+                buffer[position] = sample;
+                if (++position === length) position = 0;
+                return out;
+            };
+        },
+
+        // 立体声设置：mode 为处理域 'lr'（左右）或 'ms'（中置/两侧）
+        // intensity 为该域两个声道各自的强度比例 0–1，0 即保持原声；dropout 为随机声道掉线的频度 0–1
+        // earbud 为“坏耳机”程度 0–1，作用于 earbudSide 一侧（0 左 / 1 右）：接触不良造成的忽大忽小与噼啪声
+        createStereo() {
+            return { mode: 'lr', intensity: [1, 1], dropout: 0, earbud: 0, earbudSide: 0 };
+        },
+
+        createAutomation() {
+            return {
+                enabled: false,
+                points: [
+                    { t: 0, v: 0, curve: 'linear' },
+                    { t: 1, v: 1, curve: 'linear' }
+                ]
+            };
+        },
+
+        // 强度自动化：断点 t 为全曲进度 0–1，v 为强度比例 0–1
+        // 每个断点的 curve 决定它到下一个断点的插值（linear / exp）
+        // 返回 index → v 的函数；未启用时返回 null
+        createAutomationCurve(automation, totalSamples) {
+            if (!automation || !automation.enabled || !automation.points || !automation.points.length) {
+                return null;
+            }
+
+            const points = automation.points.slice().sort((a, b) => a.t - b.t);
+            const last = points[points.length - 1];
+            let segment = 0;
+
+            return (index) => {
+                const t = index / Math.max(1, totalSamples);
+                if (t <= points[0].t) return points[0].v;
+                if (t >= last.t) return last.v;
+
+                // 处理顺序通常递增，从上次的段开始查找
+                if (t < points[segment].t) segment = 0;
+                while (t > points[segment + 1].t) segment++;
+
+                const from = points[segment];
+                const to = points[segment + 1];
+                const f = (t - from.t) / Math.max(1e-9, to.t - from.t);
+
+                if (from.curve === 'exp') {
+                    const v0 = Math.max(from.v, 0.001);
+                    const v1 = Math.max(to.v, 0.001);
+                    return v0 * Math.pow(v1 / v0, f);
+                }
+                return from.v + (to.v - from.v) * f;
+            };
+        },
+
+        // 区域遮罩：区域内为1、区域外为0，边界处按 fade 秒线性交叉淡化
+        // 无区域时返回 null，表示整段处理
+        createRegionMask(regions, sampleRate, fade = 0.02) {
+            if (!regions || !regions.length) return null;
+
+            const fadeSamples = Math.max(1, Math.round(fade * sampleRate));
+            const spans = regions
+                .map(region => [Math.round(region.start * sampleRate), Math.round(region.end * sampleRate)])
+                .filter(([start, end]) => end > start)
+                .sort((a, b) => a[0] - b[0]);
+
+            return (index) => {
+                let weight = 0;
+                for (const [start, end] of spans) {
+                    if (index < start - fadeSamples) break;
+                    if (index > end + fadeSamples) continue;
+
+                    // 淡入淡出以边界为中心
+                    const fadeIn = (index - start) / fadeSamples + 0.5;
+                    const fadeOut = (end - index) / fadeSamples + 0.5;
+                    weight = Math.max(weight, Math.min(1, fadeIn, fadeOut));
+                    if (weight >= 1) return 1;
+                }
+                return Math.max(0, weight);
+            };
+        },
+
+        // 按遮罩混合原声与处理结果
+        mixMasked(dry, wet, weight) {
+            if (weight >= 1) return wet;
+            if (weight <= 0) return dry;
+            return dry + (wet - dry) * weight;
+        },
+
+        // 立体声处理（只作用于前两个声道）：M/S 编解码、每声道强度、随机掉线、坏耳机
+        // 参数每批从 settings.stereo 读取，可实时修改；掉线与坏耳机的随机序列独立于效果链，开关它们不影响其他效果
+        // latency 为效果链的延迟，dry 为左右声道原声的等长延迟线，供按权重混合时对齐
+        createStereoStage(settings, sampleRate, latency = 0) {
+            const work = [new Float32Array(this.RENDER_BATCH), new Float32Array(this.RENDER_BATCH)];
+            const seed = settings.seed >>> 0;
+            const dropouts = [0, 1].map(channel => this.createDropout(sampleRate, this.createRandom(seed ^ (0x5bd1e995 + channel))));
+            const earbud = this.createEarbud(sampleRate, this.createRandom(seed ^ 0x27d4eb2f));
+            const defaults = this.createStereo();
+            let config = defaults;
+
+            return {
+                work,
+                dry: [this.createDelay(latency), this.createDelay(latency)],
+
+                // 前两个声道的这一批复制到工作区，M/S 模式下编码为中/侧；返回两个声道的强度比例
+                encode(channels, offset, end) {
+                    config = { ...defaults, ...settings.stereo };
+                    const left = channels[0];
+                    const right = channels[1];
+                    for (let i = offset; i < end; i++) {
+                        if (config.mode === 'ms') {
+                            work[0][i - offset] = (left[i] + right[i]) / 2;
+                            work[1][i - offset] = (left[i] - right[i]) / 2;
+                        } else {
+                            work[0][i - offset] = left[i];
+                            work[1][i - offset] = right[i];
+                        }
+                    }
+                    return config.intensity;
+                },
+
+                // 解码回左右声道，再叠加掉线与坏耳机，最后限幅
+                decode(length) {
+                    for (let i = 0; i < length; i++) {
+                        let left = work[0][i];
+                        let right = work[1][i];
+                        if (config.mode === 'ms') {
+                            [left, right] = [left + right, left - right];
+                        }
+                        left = dropouts[0](left, config.dropout);
+                        right = dropouts[1](right, config.dropout);
+                        if (config.earbudSide === 1) right = earbud(right, config.earbud);
+                        else left = earbud(left, config.earbud);
+                        work[0][i] = Math.max(-1, Math.min(1, left));
+                        work[1][i] = Math.max(-1, Math.min(1, right));
+                    }
+                }
+            };
+        },
+
+        // 随机掉线：平均每秒 amount 次，每次 50–550ms，5ms 淡入淡出避免爆音
+        createDropout(sampleRate, random) {
+            const coeff = 1 - Math.exp(-1 / (0.005 * sampleRate));
+            let remaining = 0;
+            let gain = 1;
+
+            return (sample, amount) => {
+                if (remaining > 0) {
+                    remaining--;
+                } else if (amount > 0 && random() < amount / sampleRate) {
+                    remaining = Math.round((0.05 + random() * 0.5) * sampleRate);
+                }
+                gain += ((remaining > 0 ? 0 : 1) - gain) * coeff;
+                return gain === 1 ? sample : sample * gain;
+            };
+        },
+
+        // 坏耳机：接触电平每 20–320ms 跳到新值（接触不良时跌落），跳变过程中夹杂噼啪声
+        createEarbud(sampleRate, random) {
+            const coeff = 1 - Math.exp(-1 / (0.003 * sampleRate));
+            let contact = 1;
+            let target = 1;
+            let hold = 0;
+
+            return (sample, amount) => {
+                if (amount <= 0 && contact === 1) return sample;
+
+                if (--hold <= 0) {
+                    hold = Math.round((0.02 + random() * 0.3) * sampleRate);
+                    target = random() < 0.2 + amount * 0.6 ? 1 - amount * (0.7 + 0.3 * random()) : 1;
+                }
+                const step = (target - contact) * coeff;
+                contact = Math.abs(target - contact) < 1e-4 ? target : contact + step;
+
+                const crackle = random() < Math.abs(step) * 20 ? (random() - 0.5) * amount : 0;
+                return sample * contact + crackle;
+            };
+        },
+
+        // 一批样本的渲染：效果链 → 立体声处理 → 按权重与原声混合，原地修改 channels[c][offset…end)
+        // amounts / weights 以批内下标给出自动化强度与区域权重（见 fillMix），为 null 时全强度、全湿
+        // stereo 为 createStereoStage 的结果；为 null 时各声道独立处理
+        // 效果链有延迟时写回的是 latency 个样本之前的结果，原声经等长延迟线后再混合，两者逐样本对齐
+        renderBatch(channels, offset, end, processors, amounts, weights, stereo) {
+            const first = stereo ? 2 : 0;
+
+            if (stereo) {
+                const scale = stereo.encode(channels, offset, end);
+                for (let channel = 0; channel < 2; channel++) {
+                    const data = stereo.work[channel];
+                    const process = processors[channel];
+                    const amount = scale[channel];
+                    for (let i = 0; i < end - offset; i++) {
+                        const dry = process.dry(data[i]);
+                        data[i] = this.mixMasked(dry, process(data[i], (amounts ? amounts[i] : 1) * amount), amount);
+                    }
+                }
+                stereo.decode(end - offset);
+
+                for (let channel = 0; channel < 2; channel++) {
+                    const data = channels[channel];
+                    const wet = stereo.work[channel];
+                    const delay = stereo.dry[channel];
+                    for (let i = offset; i < end; i++) {
+                        const dry = delay(data[i]);
+                        data[i] = weights ? this.mixMasked(dry, wet[i - offset], weights[i - offset]) : wet[i - offset];
+                    }
+                }
+            }
+
+            for (let channel = first; channel < channels.length; channel++) {
+                const data = channels[channel];
+                const process = processors[channel];
+                for (let i = offset; i < end; i++) {
+                    const dry = process.dry(data[i]);
+                    if (!weights) {
+                        data[i] = process(data[i]);
+                        continue;
+                    }
+                    const wet = process(data[i], amounts[i - offset]);
+                    data[i] = this.mixMasked(dry, wet, weights[i - offset]);
+                }
+            }
+        },
+
+        // 填充一批的自动化强度与混合权重，position 为这一批送入效果链的位置
+        // 强度按送入的位置取值；权重按输出位置（早 latency 个样本）取值，与延迟后的处理结果对齐
+        fillMix(amounts, weights, count, position, mask, automation, latency) {
+            for (let i = 0; i < count; i++) {
+                const output = position + i - latency;
+                amounts[i] = automation ? automation(position + i) : 1;
+                weights[i] = (mask ? mask(output) : 1) * (automation ? automation(output) : 1);
+            }
+        },
+
+        // 分段渲染器：返回 (channels, start) => channels，原地处理从绝对位置 start 开始的一段
+        // 效果链、随机序列、遮罩与包络的状态跨段连续；length 为全曲样本数，供自动化包络定位
+        // 各段在 4096 的整数倍处切分时，结果与整段渲染逐样本一致
+        // 渲染器的 latency 为效果链延迟：写回的结果整体晚这么多个样本，
+        // 调用方丢掉开头 latency 个样本，最后再送入 latency 个零样本冲出尾部（见 processChannels）
+        createRenderer(settings, sampleRate, numberOfChannels, length) {
+            const random = this.createRandom(settings.seed);
+            const processors = Array.from({ length: numberOfChannels }, (_, channel) => {
+                return this.createChannelProcessor(settings, sampleRate, random, numberOfChannels > 1 ? channel : null);
+            });
+            const latency = processors.length ? processors[0].latency : 0;
+            const stereo = numberOfChannels > 1 && settings.stereo ? this.createStereoStage(settings, sampleRate, latency) : null;
+            const mask = this.createRegionMask(settings.regions, sampleRate, settings.fade);
+            const automation = this.createAutomationCurve(settings.automation, length);
+            const weights = new Float32Array(this.RENDER_BATCH);
+            const amounts = new Float32Array(this.RENDER_BATCH);
+
+            const render = (channels, start) => {
+                const segmentLength = channels.length ? channels[0].length : 0;
+
+                for (let offset = 0; offset < segmentLength; offset += this.RENDER_BATCH) {
+                    const end = Math.min(offset + this.RENDER_BATCH, segmentLength);
+
+                    // 区域外保持原声；效果链始终运行，滤波状态在区域边界连续
+                    // 自动化包络同时缩放强度与干湿比，包络为0时即为原声
+                    const mixed = mask || automation;
+                    if (mixed) this.fillMix(amounts, weights, end - offset, start + offset, mask, automation, latency);
+
+                    this.renderBatch(channels, offset, end, processors, mixed ? amounts : null, mixed ? weights : null, stereo);
+                }
+
+                return channels;
+            };
+            render.latency = latency;
+            return render;
+        },
+
+        RENDER_BATCH: 4096,
+
+        // 整段离线渲染：原地处理各声道的 Float32Array，Worker 与 Node 命令行共用
+        // onProgress(0–1) 按批次回调
+        processChannels(channels, settings, sampleRate, onProgress = null) {
+            const length = channels.length ? channels[0].length : 0;
+            const render = this.createRenderer(settings, sampleRate, channels.length, length);
+
+            // 分批次处理，按批次汇报真实进度
+            const totalBatches = Math.max(1, Math.ceil(length / this.RENDER_BATCH));
+            const reportEvery = Math.max(1, Math.floor(totalBatches / 100));
+
+            for (let batch = 0; batch < totalBatches; batch++) {
+                const start = batch * this.RENDER_BATCH;
+                const end = Math.min(start + this.RENDER_BATCH, length);
+                render(channels.map(data => data.subarray(start, end)), start);
+
+                if (onProgress && batch % reportEvery === 0) {
+                    onProgress(batch / totalBatches);
+                }
+            }
+
+            // 效果链有延迟时：补零冲出尾部，再整体前移 latency 个样本，与输入对齐
+            const latency = render.latency;
+            if (latency) {
+                const tail = render(channels.map(() => new Float32Array(latency)), length);
+                channels.forEach((data, channel) => {
+                    const joined = new Float32Array(length + latency);
+                    joined.set(data);
+                    joined.set(tail[channel], length);
+                    data.set(joined.subarray(latency));
+                });
+            }
+
+            return channels;
+        },
+
+        // 导出前处理：混缩 → 重采样 → 电平，不改动传入的声道数据
+        // level: 'none' 不处理 / 'normalize' 峰值归一化 / 'limit' 仅压低超过上限的峰值
+        //        'match' 按 options.reference（原始输入的响度测量）补偿到相同响度，再限制峰值
+        // 响度匹配的增益在混缩与重采样之后测量（它们都会改变响度），与分段处理的两遍做法一致
+        prepareExport(channels, sampleRate, options = {}) {
+            const run = (exportOptions) => {
+                const exporter = this.createExporter(channels.length, sampleRate, exportOptions);
+                const head = exporter.process(channels.map(data => data.slice()));
+                const tail = exporter.flush();
+                const output = head.map((data, channel) => {
+                    if (!tail[channel].length) return data;
+                    const joined = new Float32Array(data.length + tail[channel].length);
+                    joined.set(data);
+                    joined.set(tail[channel], data.length);
+                    return joined;
+                });
+                return { channels: output, sampleRate: exporter.sampleRate };
+            };
+
+            let gain = options.gain;
+            if (options.level === 'match' && options.reference) {
+                const measured = run({ ...options, level: 'none', gain: 1 });
+                gain = this.matchGain(options.reference, this.measureLoudness(measured.channels, measured.sampleRate));
+            }
+
+            const prepared = run({ ...options, gain });
+            if (options.level === 'normalize') this.normalize(prepared.channels, options.ceiling);
+            return prepared;
+        },
+
+        // 可分段的导出处理：process(channels) 返回处理后的新段，最后 flush() 取出重采样尾部
+        // 归一化需要全曲峰值，不在此处理；分段时由调用方先测峰值再传入 gain
+        createExporter(numberOfChannels, sampleRate, { sampleRate: targetRate = null, mono = false, level = 'none', ceiling = 0.98, gain = 1 } = {}) {
+            const outputChannels = mono ? 1 : numberOfChannels;
+            const outputRate = targetRate || sampleRate;
+            const resamplers = outputRate !== sampleRate
+                ? Array.from({ length: outputChannels }, () => this.createResampler(sampleRate, outputRate))
+                : null;
+            const limiter = level === 'limit' || level === 'match' ? this.createLimiter(ceiling, outputRate) : null;
+
+            const finish = (output) => {
+                if (gain !== 1) {
+                    output.forEach(data => {
+                        for (let i = 0; i < data.length; i++) data[i] *= gain;
+                    });
+                }
+                if (limiter) limiter(output);
+                return output;
+            };
+
+            return {
+                numberOfChannels: outputChannels,
+                sampleRate: outputRate,
+                process(channels) {
+                    let output = mono && channels.length > 1 ? [DamageDSP.downmix(channels)] : channels;
+                    if (resamplers) output = output.map((data, channel) => resamplers[channel].push(data));
+                    return finish(output);
+                },
+                flush() {
+                    const output = resamplers
+                        ? resamplers.map(resampler => resampler.flush())
+                        : Array.from({ length: outputChannels }, () => new Float32Array(0));
+                    return finish(output);
+                }
+            };
+        },
+
+        downmix(channels) {
+            const mono = new Float32Array(channels[0].length);
+            channels.forEach(data => {
+                for (let i = 0; i < mono.length; i++) {
+                    mono[i] += data[i] / channels.length;
+                }
+            });
+            return mono;
+        },
+
+        resample(data, fromRate, toRate) {
+            const resampler = this.createResampler(fromRate, toRate);
+            const head = resampler.push(data);
+            const tail = resampler.flush();
+            const output = new Float32Array(head.length + tail.length);
+            output.set(head);
+            output.set(tail, head.length);
+            return output;
+        },
+
+        // 加汉宁窗的 sinc 插值；降采样时截止频率随之降低，避免混叠
+        // push 只输出窗口已凑齐的样本，其余留到下一段或 flush
+        createResampler(fromRate, toRate) {
+            const ratio = toRate / fromRate;
+            const cutoff = Math.min(1, ratio);
+            const radius = 16 / cutoff;
+            let history = new Float32Array(0); // 尚需参与插值的输入
+            let historyStart = 0; // history[0] 的绝对位置
+            let received = 0;
+            let next = 0; // 下一个输出样本序号
+
+            const interpolate = (index, available) => {
+                const center = index / ratio;
+                const start = Math.max(0, Math.ceil(center - radius));
+                const end = Math.min(available - 1, Math.floor(center + radius));
+                let sum = 0;
+                let weight = 0;
+
+                for (let j = start; j <= end; j++) {
+                    const x = j - center;
+                    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x * cutoff) / (Math.PI * x * cutoff);
+                    const w = sinc * (0.5 + 0.5 * Math.cos(Math.PI * x / radius));
+                    sum += history[j - historyStart] * w;
+                    weight += w;
+                }
+                return weight ? sum / weight : 0;
+            };
+
+            const drain = (count, available) => {
+                const output = new Float32Array(Math.max(0, count - next));
+                for (let i = 0; i < output.length; i++) {
+                    output[i] = interpolate(next + i, available);
+                }
+                next = Math.max(next, count);
+
+                // 丢弃之后不再用到的输入
+                const keepFrom = Math.max(historyStart, Math.ceil(next / ratio - radius));
+                history = history.slice(keepFrom - historyStart);
+                historyStart = keepFrom;
+                return output;
+            };
+
+            return {
+                push(data) {
+                    const joined = new Float32Array(history.length + data.length);
+                    joined.set(history);
+                    joined.set(data, history.length);
+                    history = joined;
+                    received += data.length;
+
+                    // 右侧窗口完整的输出样本：index / ratio + radius <= received - 1
+                    const ready = Math.max(0, Math.floor((received - 1 - radius) * ratio) + 1);
+                    return drain(ready, received);
+                },
+                flush() {
+                    return drain(Math.max(1, Math.round(received * ratio)), received);
+                }
+            };
+        },
+
+        // 响度测量（ITU-R BS.1770）：400ms 块、步进100ms，绝对门限 −70 LUFS、相对门限 −10 LU
+        // 可分段 push；result() 给出 { peak, rms, lufs }，峰值与 RMS 为线性值，静音时 lufs 为 -Infinity
+        createLoudnessMeter(sampleRate, numberOfChannels) {
+            const filters = Array.from({ length: numberOfChannels }, () => createKWeighting(sampleRate));
+            const step = Math.max(1, Math.round(sampleRate * 0.1));
+            const steps = []; // 每100ms 的 K 计权能量（各声道权重都为1）
+            let energy = 0;
+            let filled = 0;
+            let frames = 0;
+            let peak = 0;
+            let squares = 0;
+
+            return {
+                push(channels) {
+                    const length = channels.length ? channels[0].length : 0;
+                    for (let i = 0; i < length; i++) {
+                        for (let channel = 0; channel < numberOfChannels; channel++) {
+                            const x = channels[channel][i];
+                            const weighted = filters[channel](x);
+                            peak = Math.max(peak, Math.abs(x));
+                            squares += x * x;
+                            energy += weighted * weighted;
+                        }
+                        if (++filled === step) {
+                            steps.push(energy);
+                            energy = 0;
+                            filled = 0;
+                        }
+                    }
+                    frames += length;
+                },
+
+                result() {
+                    const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+                    const blocks = [];
+                    for (let i = 0; i + 4 <= steps.length; i++) {
+                        blocks.push((steps[i] + steps[i + 1] + steps[i + 2] + steps[i + 3]) / (4 * step));
+                    }
+                    // 不足一个块的短文件按整体算
+                    if (!blocks.length && frames) {
+                        blocks.push((steps.reduce((sum, value) => sum + value, 0) + energy) / frames);
+                    }
+
+                    const gated = (threshold) => blocks.filter(power => toLufs(power) > threshold);
+                    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+                    const absolute = gated(-70);
+                    let lufs = -Infinity;
+                    if (absolute.length) {
+                        const relative = gated(Math.max(-70, toLufs(mean(absolute)) - 10));
+                        lufs = toLufs(mean(relative));
+                    }
+
+                    return {
+                        peak,
+                        rms: frames ? Math.sqrt(squares / (frames * numberOfChannels)) : 0,
+                        lufs
+                    };
+                }
+            };
+        },
+
+        measureLoudness(channels, sampleRate) {
+            const meter = this.createLoudnessMeter(sampleRate, channels.length);
+            meter.push(channels);
+            return meter.result();
+        },
+
+        // 使 measured 的综合响度与 reference 相同的增益；任一方为静音时不调整
+        matchGain(reference, measured) {
+            if (!Number.isFinite(reference.lufs) || !Number.isFinite(measured.lufs)) return 1;
+            return Math.pow(10, (reference.lufs - measured.lufs) / 20);
+        },
+
+        peak(channels) {
+            let peak = 0;
+            channels.forEach(data => {
+                for (let i = 0; i < data.length; i++) {
+                    peak = Math.max(peak, Math.abs(data[i]));
+                }
+            });
+            return peak;
+        },
+
+        normalize(channels, ceiling = 0.98) {
+            const peak = this.peak(channels);
+            if (!peak) return channels;
+
+            const gain = ceiling / peak;
+            channels.forEach(data => {
+                for (let i = 0; i < data.length; i++) data[i] *= gain;
+            });
+            return channels;
+        },
+
+        limit(channels, ceiling = 0.98, sampleRate = 44100, release = 0.05) {
+            return this.createLimiter(ceiling, sampleRate, release)(channels);
+        },
+
+        // 瞬时启动、指数释放的峰值限制器，各声道联动增益；增益状态跨段保持
+        createLimiter(ceiling = 0.98, sampleRate = 44100, release = 0.05) {
+            const coeff = 1 - Math.exp(-1 / (release * sampleRate));
+            let gain = 1;
+
+            return (channels) => {
+                const length = channels.length ? channels[0].length : 0;
+                for (let i = 0; i < length; i++) {
+                    let peak = 0;
+                    for (let channel = 0; channel < channels.length; channel++) {
+                        peak = Math.max(peak, Math.abs(channels[channel][i]));
+                    }
+
+                    const target = peak > ceiling ? ceiling / peak : 1;
+                    gain = target < gain ? target : gain + (target - gain) * coeff;
+                    for (let channel = 0; channel < channels.length; channel++) {
+                        channels[channel][i] *= gain;
+                    }
+                }
+                return channels;
+            };
+        },
+
+        // 原地基2 FFT，re/im 长度须为2的幂
+        fft(re, im) {
+            const n = re.length;
+
+            for (let i = 1, j = 0; i < n; i++) {
+                let bit = n >> 1;
+                for (; j & bit; bit >>= 1) j ^= bit;
+                j ^= bit;
+                if (i < j) {
+                    [re[i], re[j]] = [re[j], re[i]];
+                    [im[i], im[j]] = [im[j], im[i]];
+                }
+            }
+
+            for (let size = 2; size <= n; size <<= 1) {
+                const angle = -2 * Math.PI / size;
+                const wRe = Math.cos(angle);
+                const wIm = Math.sin(angle);
+                for (let start = 0; start < n; start += size) {
+                    let curRe = 1;
+                    let curIm = 0;
+                    for (let k = 0; k < size / 2; k++) {
+                        const a = start + k;
+                        const b = a + size / 2;
+                        const tRe = re[b] * curRe - im[b] * curIm;
+                        const tIm = re[b] * curIm + im[b] * curRe;
+                        re[b] = re[a] - tRe;
+                        im[b] = im[a] - tIm;
+                        re[a] += tRe;
+                        im[a] += tIm;
+                        const nextRe = curRe * wRe - curIm * wIm;
+                        curIm = curRe * wIm + curIm * wRe;
+                        curRe = nextRe;
+                    }
+                }
+            }
+        },
+
+        // 逐样本的 STFT 处理：50% 重叠，分析与合成都用正弦窗（平方和为1，可完美重建）
+        // processFrame(re, im) 原地修改 0…size/2 的频点，另一半按共轭对称补齐
+        // 输出延迟 size 个样本，记在返回函数的 latency 上，由渲染器补偿
+        createStft(size, processFrame) {
+            const hop = size / 2;
+            const window = new Float64Array(size);
+            for (let i = 0; i < size; i++) window[i] = Math.sin(Math.PI * (i + 0.5) / size);
+            const input = new Float64Array(size);
+            const output = new Float64Array(size);
+            const ready = new Float64Array(hop);
+            const re = new Float64Array(size);
+            const im = new Float64Array(size);
+            let count = 0;
+
+            const process = (sample) => {
+                input[hop + count] = sample;
+                const out = ready[count];
+                if (++count < hop) return out;
+                count = 0;
+
+                for (let i = 0; i < size; i++) {
+                    re[i] = input[i] * window[i];
+                    im[i] = 0;
+                }
+                this.fft(re, im);
+                processFrame(re, im);
+                for (let k = 1; k < hop; k++) {
+                    re[size - k] = re[k];
+                    im[size - k] = -im[k];
+                }
+                im[0] = 0;
+                im[hop] = 0;
+
+                // 逆变换：共轭后做正变换，实部除以 size
+                for (let i = 0; i < size; i++) im[i] = -im[i];
+                this.fft(re, im);
+                for (let i = 0; i < size; i++) output[i] += re[i] / size * window[i];
+
+                ready.set(output.subarray(0, hop));
+                output.copyWithin(0, hop);
+                output.fill(0, hop);
+                input.copyWithin(0, hop);
+                return out;
+            };
+            process.latency = size;
+            return process;
+        },
+
+        // 与 seconds 最接近的2的幂帧长，不同采样率下帧时长大致相同
+        stftSize(sampleRate, seconds) {
+            return Math.max(64, Math.pow(2, Math.round(Math.log2(sampleRate * seconds))));
+        },
+
+        // 传输曲线：控制点 [{ x, y }]（-1…1，按 x 升序，首尾 x 为 -1 与 1），点间线性连接
+        createCurve() {
+            return [{ x: -1, y: -1 }, { x: -0.4, y: -0.7 }, { x: 0, y: 0 }, { x: 0.4, y: 0.7 }, { x: 1, y: 1 }];
+        },
+
+        // 曲线采样为查找表，语义与 WaveShaperNode.curve 相同，可直接交给压缩引擎
+        curveTable(points, size = 1025) {
+            const table = new Float32Array(size);
+            let segment = 0;
+            for (let i = 0; i < size; i++) {
+                const x = i / (size - 1) * 2 - 1;
+                while (segment < points.length - 2 && x > points[segment + 1].x) segment++;
+                const a = points[segment];
+                const b = points[segment + 1];
+                const t = b.x > a.x ? Math.max(0, Math.min(1, (x - a.x) / (b.x - a.x))) : 1;
+                table[i] = a.y + (b.y - a.y) * t;
+            }
+            return table;
+        },
+
+        // 按 WaveShaperNode 的方式查表：输入 -1…1 映射到表的两端，超出范围取端点值，表项间线性插值
+        applyCurve(table, x) {
+            const position = (x + 1) / 2 * (table.length - 1);
+            if (!(position > 0)) return table[0];
+            if (position >= table.length - 1) return table[table.length - 1];
+            const index = Math.floor(position);
+            const frac = position - index;
+            return table[index] + (table[index + 1] - table[index]) * frac;
+        },
+
+        hannWindow(size) {
+            const coeffs = new Float32Array(size);
+            for (let i = 0; i < size; i++) {
+                coeffs[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+            }
+            return coeffs;
+        }
+    };
+
+    DamageDSP.registerEffect('digital', {
+        label: '💻 数字失真',
+        create: (stage) => (sample) => Math.tanh(sample * stage.intensity * 0.3)
+    });
+
+    DamageDSP.registerEffect('analog', {
+        label: '🎸 模拟管失真',
+        create: (stage) => (sample) => Math.sin(sample * stage.intensity * 0.3 * Math.PI * 0.5)
+    });
+
+    DamageDSP.registerEffect('crushed', {
+        label: '🔧 比特粉碎',
+        create: (stage) => (sample) => {
+            // 动态位深压缩
+            const bits = Math.max(1, 16 - stage.intensity * 0.3);
+            const levels = Math.pow(2, bits);
+            return Math.round(sample * levels) / levels;
+        }
+    });
+
+    DamageDSP.registerEffect('glitch', {
+        label: '⚡ 故障艺术',
+        create: (stage, { random }) => (sample) => {
+            // 随机故障
+            if (random() < 0.005 * stage.intensity * 0.3) {
+                return (random() - 0.5) * 2;
+            }
+            return sample;
+        }
+    });
+
+    // AM收音机：带通 + 调谐漂移 + 信号衰落 + 饱和
+    DamageDSP.registerEffect('radio', {
+        label: '📻 AM收音机',
+        params: [
+            { key: 'center', label: '调谐中心 (Hz)', min: 500, max: 3000, step: 50, value: 1200 },
+            { key: 'drift', label: '调谐漂移', min: 0, max: 1, step: 0.05, value: 0.4 }
+        ],
+        create(stage, { sampleRate, random }) {
+            const highpass = new Biquad('highpass', sampleRate);
+            const bandpass = new Biquad('bandpass', sampleRate);
+            highpass.set(150, 0.707);
+
+            let phase = random() * Math.PI * 2;
+            let walk = 0;
+            let gain = 1;
+            let counter = 0;
+
+            return (sample) => {
+                // 每64个样本更新一次调谐频率
+                if (counter++ % 64 === 0) {
+                    const { center, drift } = DamageDSP.getParams(stage);
+                    phase += Math.PI * 2 * 0.25 * 64 / sampleRate;
+                    walk = (walk + (random() - 0.5) * 0.05) * 0.995;
+                    const wobble = Math.sin(phase) * 0.6 + walk;
+                    bandpass.set(center * Math.pow(2, wobble * drift * 0.5), 0.8);
+                    gain = 1 - drift * 0.3 * (0.5 + 0.5 * Math.sin(phase * 1.7));
+                }
+
+                const drive = 1 + stage.intensity * 0.3;
+                const filtered = bandpass.process(highpass.process(sample)) * 2 * gain;
+                const crackle = (random() - 0.5) * 0.004 * stage.intensity;
+                return Math.tanh(filtered * drive) / Math.tanh(drive) + crackle;
+            };
+        }
+    });
+
+    // 电话：300–3400Hz 四阶带限 + μ律量化
+    DamageDSP.registerEffect('telephone', {
+        label: '☎️ 电话听筒',
+        params: [
+            { key: 'lowCut', label: '低切 (Hz)', min: 100, max: 800, step: 10, value: 300 },
+            { key: 'highCut', label: '高切 (Hz)', min: 2000, max: 5000, step: 50, value: 3400 }
+        ],
+        create(stage, { sampleRate }) {
+            const filters = [
+                new Biquad('highpass', sampleRate),
+                new Biquad('highpass', sampleRate),
+                new Biquad('lowpass', sampleRate),
+                new Biquad('lowpass', sampleRate)
+            ];
+            const mu = 255;
+            let lowCut = 0;
+            let highCut = 0;
+            let params = null;
+            let counter = 0;
+
+            return (sample) => {
+                // 每64个样本读一次参数，getParams 每次都新建对象
+                if (counter++ % 64 === 0) params = DamageDSP.getParams(stage);
+                if (params.lowCut !== lowCut || params.highCut !== highCut) {
+                    ({ lowCut, highCut } = params);
+                    filters[0].set(lowCut, 0.707);
+                    filters[1].set(lowCut, 0.707);
+                    filters[2].set(Math.min(highCut, sampleRate * 0.45), 0.707);
+                    filters[3].set(Math.min(highCut, sampleRate * 0.45), 0.707);
+                }
+
+                let out = sample;
+                filters.forEach(filter => {
+                    out = filter.process(out);
+                });
+
+                // 损坏程度越高，μ律量化位数越少
+                const bits = Math.max(3, 8 - stage.intensity * 0.4);
+                const levels = Math.pow(2, bits - 1);
+                const clipped = Math.max(-1, Math.min(1, out));
+                const encoded = Math.sign(clipped) * Math.log1p(mu * Math.abs(clipped)) / Math.log1p(mu);
+                const quantized = Math.round(encoded * levels) / levels;
+                return Math.sign(quantized) * (Math.pow(1 + mu, Math.abs(quantized)) - 1) / mu;
+            };
+        }
+    });
+
+    // 磁带/黑胶：低通 + 抖晃颤动（调制延迟线）+ 磁带饱和 + 嘶声
+    DamageDSP.registerEffect('cassette', {
+        label: '📼 磁带/黑胶',
+        params: [
+            { key: 'cutoff', label: '高频上限 (Hz)', min: 2000, max: 12000, step: 100, value: 7000 },
+            { key: 'wow', label: '抖晃 (wow)', min: 0, max: 1, step: 0.05, value: 0.4 },
+            { key: 'flutter', label: '颤动 (flutter)', min: 0, max: 1, step: 0.05, value: 0.3 }
+        ],
+        create(stage, { sampleRate, random }) {
+            const filters = [new Biquad('lowpass', sampleRate), new Biquad('lowpass', sampleRate)];
+            const delayLine = new Float32Array(Math.ceil(sampleRate * 0.03));
+            const baseDelay = sampleRate * 0.01;
+            let writeIndex = 0;
+            let wowPhase = random() * Math.PI * 2;
+            let flutterPhase = random() * Math.PI * 2;
+            let cutoff = 0;
+            let params = null;
+            let counter = 0;
+
+            return (sample) => {
+                // 每64个样本读一次参数；强度随自动化逐样本变化，仍按样本计算
+                if (counter++ % 64 === 0) params = DamageDSP.getParams(stage);
+                const scale = stage.intensity / 5;
+                const targetCutoff = Math.min(params.cutoff * (1.2 - stage.intensity * 0.06), sampleRate * 0.45);
+                if (targetCutoff !== cutoff) {
+                    cutoff = targetCutoff;
+                    filters.forEach(filter => filter.set(cutoff, 0.707));
+                }
+
+                delayLine[writeIndex] = sample;
+
+                // 0.6Hz 抖晃 + 7Hz 颤动调制读取位置
+                wowPhase += Math.PI * 2 * 0.6 / sampleRate;
+                flutterPhase += Math.PI * 2 * 7 / sampleRate;
+                const modulation = params.wow * scale * 0.003 * sampleRate * Math.sin(wowPhase)
+                    + params.flutter * scale * 0.0003 * sampleRate * Math.sin(flutterPhase);
+                const delay = Math.max(1, Math.min(delayLine.length - 2, baseDelay + modulation));
+
+                let readPos = writeIndex - delay;
+                if (readPos < 0) readPos += delayLine.length;
+                const index = Math.floor(readPos);
+                const frac = readPos - index;
+                const next = (index + 1) % delayLine.length;
+                let out = delayLine[index] * (1 - frac) + delayLine[next] * frac;
+
+                writeIndex = (writeIndex + 1) % delayLine.length;
+
+                filters.forEach(filter => {
+                    out = filter.process(out);
+                });
+
+                const drive = 1 + stage.intensity * 0.15;
+                return Math.tanh(out * drive) / Math.tanh(drive) + (random() - 0.5) * 0.003 * scale;
+            };
+        }
+    });
+
+    // 临界频带边界 (Hz)，编码失真按频带分配比特
+    const BARK_EDGES = [100, 200, 300, 400, 510, 630, 770, 920, 1080, 1270, 1480, 1720, 2000,
+        2320, 2700, 3150, 3700, 4400, 5300, 6400, 7700, 9500, 12000, 15500];
+
+    // 低码率变换编码：按码率在频带间反向注水分配比特，分不到比特的频带整段消失，
+    // 逐帧变化的分配产生金属感“水声”，长窗让瞬态前出现预回声
+    DamageDSP.registerEffect('codec', {
+        label: '🎧 低码率编码',
+        params: [
+            { key: 'kbps', label: '码率 (kbps/声道)', min: 8, max: 128, step: 4, value: 32 }
+        ],
+        create(stage, { sampleRate }) {
+            const size = DamageDSP.stftSize(sampleRate, 0.023);
+            const half = size / 2;
+            const bands = [];
+            let start = 1;
+            [...BARK_EDGES, sampleRate / 2].forEach(edge => {
+                const end = Math.min(half + 1, Math.round(edge / sampleRate * size));
+                if (end > start) {
+                    bands.push([start, end]);
+                    start = end;
+                }
+            });
+            const power = new Float64Array(bands.length);
+            const width = new Float64Array(bands.length);
+
+            return DamageDSP.createStft(size, (re, im) => {
+                const { kbps } = DamageDSP.getParams(stage);
+                const bitrate = kbps * (1.5 - stage.intensity * 0.1);
+                const cutoff = Math.min(half + 1, Math.round((3000 + bitrate * 110) / sampleRate * size));
+                const budget = bitrate * 1000 * half / sampleRate;
+
+                // 各频带每个实系数的平均功率（复数频点计两个实系数），直流不编码
+                re[0] = 0;
+                let maxPower = 0;
+                bands.forEach(([from, to], b) => {
+                    const end = Math.min(to, cutoff);
+                    let sum = 0;
+                    for (let k = from; k < end; k++) sum += re[k] * re[k] + im[k] * im[k];
+                    width[b] = Math.max(0, end - from) * 2;
+                    power[b] = width[b] ? sum / width[b] : 0;
+                    maxPower = Math.max(maxPower, power[b]);
+                });
+
+                // 反向注水：二分找失真 D，使 Σ 系数数 × ½log2(P/D) 恰好用完比特预算
+                let distortion = 0;
+                if (maxPower > 0) {
+                    const bitsAt = (logD) => bands.reduce((sum, _, b) => {
+                        const bits = 0.5 * (Math.log2(power[b]) - logD);
+                        return bits > 0 ? sum + width[b] * bits : sum;
+                    }, 0);
+                    let low = Math.log2(maxPower) - 60;
+                    let high = Math.log2(maxPower);
+                    for (let i = 0; i < 30; i++) {
+                        const mid = (low + high) / 2;
+                        if (bitsAt(mid) > budget) low = mid;
+                        else high = mid;
+                    }
+                    distortion = Math.pow(2, high);
+                }
+
+                // 分到比特的频带均匀量化（噪声功率 step²/12 = D），其余与截止频率以上清零
+                const step = Math.sqrt(12 * distortion);
+                bands.forEach(([from, to], b) => {
+                    const keep = power[b] > distortion && distortion > 0;
+                    for (let k = from; k < to; k++) {
+                        if (keep && k < cutoff) {
+                            re[k] = Math.round(re[k] / step) * step;
+                            im[k] = Math.round(im[k] / step) * step;
+                        } else {
+                            re[k] = 0;
+                            im[k] = 0;
+                        }
+                    }
+                });
+                for (let k = bands.length ? bands[bands.length - 1][1] : 1; k <= half; k++) {
+                    re[k] = 0;
+                    im[k] = 0;
+                }
+            });
+        }
+    });
+
+    // 网络丢包：每个 STFT 跳步当作一个包，按 Gilbert 模型成串丢失；
+    // 丢包时沿用上一个好包的幅度谱并按帧移推进相位（重复/机器人声），连续丢包逐渐衰减为静音
+    DamageDSP.registerEffect('packetloss', {
+        label: '📶 网络丢包',
+        params: [
+            { key: 'loss', label: '丢包率', min: 0, max: 0.5, step: 0.01, value: 0.1 },
+            { key: 'burst', label: '连续丢包', min: 0, max: 0.9, step: 0.05, value: 0.5 },
+            { key: 'conceal', label: '丢包补偿', min: 0, max: 1, step: 0.05, value: 0.7 }
+        ],
+        create(stage, { sampleRate, random }) {
+            const size = DamageDSP.stftSize(sampleRate, 0.02);
+            const half = size / 2;
+            const magnitude = new Float64Array(half + 1);
+            const phase = new Float64Array(half + 1);
+            let lost = false;
+            let run = 0;
+
+            return DamageDSP.createStft(size, (re, im) => {
+                const params = DamageDSP.getParams(stage);
+                const loss = Math.min(0.9, params.loss * stage.intensity / 5);
+
+                // 平均丢包率为 loss：好→丢的概率 p 满足 p / (p + 1 - burst) = loss
+                const enter = loss * (1 - params.burst) / (1 - loss);
+                lost = random() < (lost ? params.burst : enter);
+
+                if (!lost) {
+                    run = 0;
+                    for (let k = 0; k <= half; k++) {
+                        magnitude[k] = Math.hypot(re[k], im[k]);
+                        phase[k] = Math.atan2(im[k], re[k]);
+                    }
+                    return;
+                }
+
+                // 半帧跳步时频点 k 的相位每帧前进 πk
+                run++;
+                const gain = params.conceal * Math.pow(0.7, run - 1);
+                for (let k = 0; k <= half; k++) {
+                    phase[k] += Math.PI * k;
+                    re[k] = magnitude[k] * gain * Math.cos(phase[k]);
+                    im[k] = magnitude[k] * gain * Math.sin(phase[k]);
+                }
+            });
+        }
+    });
+
+    // 自定义传输曲线：stage.curve 为控制点，强度决定推入曲线的增益（5 为原电平）
+    DamageDSP.registerEffect('shaper', {
+        label: '〰️ 自定义曲线',
+        curve: true,
+        create(stage) {
+            let points = null;
+            let table = null;
+            return (sample) => {
+                // 试听时曲线随设置整体替换，引用变化才重新生成查找表
+                if (stage.curve !== points || !table) {
+                    points = stage.curve;
+                    table = DamageDSP.curveTable(points || DamageDSP.createCurve());
+                }
+                return DamageDSP.applyCurve(table, sample * stage.intensity / 5);
+            };
+        }
+    });
+
+    DamageDSP.registerEffect('noise', {
+        label: '🌫️ 底噪',
+        create: (stage, { random }) => (sample) => sample + (random() - 0.5) * 0.05 * stage.intensity
+    });
+
+    DamageDSP.registerEffect('crackle', {
+        label: '💥 爆裂音',
+        create: (stage, { random }) => (sample) => {
+            if (random() < 0.001 * stage.intensity) {
+                return (random() - 0.5) * 2;
+            }
+            return sample;
+        }
+    });
+
+    root.DamageDSP = DamageDSP;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DamageDSP;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,104 @@
+// Node 端入口：不依赖 AudioContext / FileReader / Blob，直接对 WAV 数据整段或分段做损坏处理
+const fs = require('fs');
+const path = require('path');
+const DamageDSP = require('./dsp.js');
+const WavCodec = require('./wav.js');
+const StreamPipeline = require('./stream.js');
+
+const SEGMENT_BYTES = 4 * 1024 * 1024;
+const HEAD_BYTES = 1024 * 1024;
+
+// input 为 WAV 文件内容（Buffer 或 ArrayBuffer），返回 WAV 的 ArrayBuffer
+// settings 与网页端相同，也接受旧版 { type, intensity, noise, crackle }
+// exportOptions 与网页端导出设置相同：{ bitDepth, sampleRate, mono, level, info }
+function damageWav(input, settings, onProgress, exportOptions = {}) {
+    const arrayBuffer = input instanceof ArrayBuffer
+        ? input
+        : input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+    const { sampleRate, channels } = WavCodec.decode(arrayBuffer);
+    const reference = exportOptions.level === 'match' ? DamageDSP.measureLoudness(channels, sampleRate) : null;
+
+    DamageDSP.processChannels(channels, DamageDSP.normalizeSettings(settings), sampleRate, onProgress);
+    const prepared = DamageDSP.prepareExport(channels, sampleRate, { ...exportOptions, reference });
+    return WavCodec.encode(prepared.channels, prepared.sampleRate, exportOptions);
+}
+
+// 按文件分段读写，内存占用与时长无关；输出与 damageWav 逐字节一致
+// onProgress 收到 0–1 的进度；归一化与响度匹配需要先读一遍测量
+// 返回输入与输出文件的响度测量 { input, output }，见 StreamPipeline.loudness
+// 先写到输出目录下的临时文件，完成后改名替换，所以输出路径可以与输入相同
+function damageWavFile(inputPath, outputPath, settings, exportOptions = {}, onProgress = null) {
+    const input = fs.openSync(inputPath, 'r');
+    try {
+        const size = fs.fstatSync(input).size;
+        const head = Buffer.alloc(Math.min(HEAD_BYTES, size));
+        fs.readSync(input, head, 0, head.length, 0);
+        const { format, dataOffset, dataSize, frames } = WavCodec.decodeHeader(head.buffer, size);
+
+        const options = {
+            settings: DamageDSP.normalizeSettings(settings),
+            sampleRate: format.sampleRate,
+            numberOfChannels: format.numChannels,
+            length: frames,
+            exportOptions
+        };
+        const passes = ['normalize', 'match'].includes(exportOptions.level) ? 2 : 1;
+        const step = Math.max(1, Math.floor(SEGMENT_BYTES / format.blockSize)) * format.blockSize;
+
+        // 逐段解码输入交给 consume；pass 用于合并两遍的进度
+        const readSegments = (pass, consume) => {
+            let remaining = frames;
+            for (let offset = 0; offset < dataSize && remaining > 0; offset += step) {
+                const chunk = Buffer.alloc(Math.min(step, dataSize - offset));
+                fs.readSync(input, chunk, 0, chunk.length, dataOffset + offset);
+                let channels = WavCodec.decodeSamples(new DataView(chunk.buffer, chunk.byteOffset, chunk.length), format);
+                if (channels[0].length > remaining) {
+                    channels = channels.map(data => data.subarray(0, remaining));
+                }
+                remaining -= channels[0].length;
+                consume(channels);
+                if (onProgress) onProgress((pass + 1 - remaining / frames) / passes);
+            }
+        };
+
+        let gain = 1;
+        if (passes === 2) {
+            const measure = new StreamPipeline({ ...options, measureOnly: true });
+            readSegments(0, channels => measure.push(channels));
+            measure.finish();
+            const { input: reference, rendered } = measure.loudness();
+            gain = exportOptions.level === 'match'
+                ? DamageDSP.matchGain(reference, rendered)
+                : measure.peak > 0 ? (exportOptions.ceiling || 0.98) / measure.peak : 1;
+        }
+
+        const pipeline = new StreamPipeline({ ...options, gain });
+        // 直接打开输出会先把它截断，输出与输入是同一文件时源数据在读取途中就没了
+        const temporaryPath = path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.${process.pid}.tmp`);
+        const output = fs.openSync(temporaryPath, 'w');
+        let written = false;
+        try {
+            // 文件头长度与帧数无关，先占位，写完样本再回填
+            let position = pipeline.header().byteLength;
+            const write = (bytes) => {
+                fs.writeSync(output, new Uint8Array(bytes), 0, bytes.byteLength, position);
+                position += bytes.byteLength;
+            };
+
+            readSegments(passes - 1, channels => write(pipeline.push(channels)));
+            write(pipeline.finish());
+            const header = pipeline.header();
+            fs.writeSync(output, new Uint8Array(header), 0, header.byteLength, 0);
+            written = true;
+        } finally {
+            fs.closeSync(output);
+            if (!written) fs.rmSync(temporaryPath, { force: true });
+        }
+        fs.renameSync(temporaryPath, outputPath);
+        return pipeline.loudness();
+    } finally {
+        fs.closeSync(input);
+    }
+}
+
+module.exports = { DamageDSP, WavCodec, damageWav, damageWavFile };
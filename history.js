@@ -0,0 +1,96 @@
+// 处理历史：每次渲染存为一个版本，可撤销/重做、试听、下载，或作为下一次处理的输入
+// 版本 { id, label, source, result }：source 为当时的输入文件；result 为 null（刚打开的输入）
+// 或 { blob, name, buffer, mode, seed, settings }，分段处理的结果没有 buffer
+// 从项目库载入或存入项目库的版本另有 renderId，对应库里的渲染记录
+class RenderHistory {
+    // 每个版本都留着解码后的结果，条数过多会占满内存
+    static MAX_VERSIONS = 10;
+
+    constructor(limit = RenderHistory.MAX_VERSIONS) {
+        this.limit = limit;
+        this.versions = [];
+        this.index = -1;
+        this.nextId = 1;
+        this.urls = new Map(); // 版本 id → 试听用的 blob URL
+    }
+
+    get current() {
+        return this.versions[this.index] || null;
+    }
+
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    get canRedo() {
+        return this.index < this.versions.length - 1;
+    }
+
+    // 换了新文件：丢弃全部历史
+    reset(version) {
+        this.clear();
+        return this.push(version);
+    }
+
+    // 在当前版本之后追加；撤销后再处理会丢弃原来的重做分支
+    push(version) {
+        this.discard(this.versions.splice(this.index + 1));
+        const entry = { id: this.nextId++, result: null, ...version };
+        this.versions.push(entry);
+
+        if (this.versions.length > this.limit) {
+            this.discard(this.versions.splice(0, this.versions.length - this.limit));
+        }
+        this.index = this.versions.length - 1;
+        return entry;
+    }
+
+    undo() {
+        if (this.canUndo) this.index--;
+        return this.current;
+    }
+
+    redo() {
+        if (this.canRedo) this.index++;
+        return this.current;
+    }
+
+    goTo(id) {
+        const index = this.versions.findIndex(version => version.id === id);
+        if (index !== -1) this.index = index;
+        return this.current;
+    }
+
+    // 导出设置变化后重新编码：旧文件的 URL 随之失效
+    replaceBlob(version, blob, name) {
+        this.release(version);
+        version.result.blob = blob;
+        version.result.name = name;
+    }
+
+    // 试听地址按需创建，版本被丢弃时释放
+    urlFor(version) {
+        if (!this.urls.has(version.id)) {
+            this.urls.set(version.id, URL.createObjectURL(version.result ? version.result.blob : version.source));
+        }
+        return this.urls.get(version.id);
+    }
+
+    release(version) {
+        const url = this.urls.get(version.id);
+        if (url) {
+            URL.revokeObjectURL(url);
+            this.urls.delete(version.id);
+        }
+    }
+
+    discard(versions) {
+        versions.forEach(version => this.release(version));
+    }
+
+    clear() {
+        this.discard(this.versions);
+        this.versions = [];
+        this.index = -1;
+    }
+}
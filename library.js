@@ -0,0 +1,154 @@
+// 项目库：导入的源文件、渲染结果与所用设置存在浏览器的 IndexedDB 里，刷新、离线后仍可打开，不经过任何服务器
+// 项目 { id, name, source, settings, created, updated, size, renderCount }
+//   source 为导入的 File；settings 为最近一次渲染的可移植设置（见 PresetManager.toPortable）
+// 渲染 { id, projectId, label, blob, name, mode, seed, settings, loudness, created }，压缩模式的 settings 为 null
+class ProjectLibrary {
+    static DB_NAME = 'yjjz-library';
+    static DB_VERSION = 1;
+
+    constructor(indexedDB = globalThis.indexedDB, name = ProjectLibrary.DB_NAME) {
+        this.indexedDB = indexedDB;
+        this.name = name;
+        this.opening = null;
+    }
+
+    // 隐私模式等环境下没有 IndexedDB，界面据此隐藏项目库
+    get available() {
+        return Boolean(this.indexedDB);
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.name, ProjectLibrary.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('projects', { keyPath: 'id', autoIncrement: true });
+                    db.createObjectStore('renders', { keyPath: 'id', autoIncrement: true }).createIndex('projectId', 'projectId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error(`无法打开项目库: ${request.error && request.error.message}`));
+            });
+            // 打开失败后允许重试
+            this.opening.catch(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
+
+    // 名称默认取文件名（去掉扩展名）
+    async addProject(source, name = source.name.replace(/\.[^/.]+$/, '')) {
+        const db = await this.open();
+        const now = Date.now();
+        const project = { name, source, settings: null, created: now, updated: now, size: source.size, renderCount: 0 };
+        const tx = db.transaction('projects', 'readwrite');
+        const request = tx.objectStore('projects').add(project);
+        await this.done(tx);
+        return { ...project, id: request.result };
+    }
+
+    // 追加一次渲染结果；带设置时同时记为项目的最新设置
+    async addRender(projectId, { label, blob, name, mode, seed = null, settings = null, loudness = null }) {
+        const db = await this.open();
+        const render = { projectId, label, blob, name, mode, seed, settings, loudness, created: Date.now() };
+        const tx = db.transaction(['projects', 'renders'], 'readwrite');
+        const request = tx.objectStore('renders').add(render);
+        this.update(tx, projectId, project => {
+            project.renderCount++;
+            project.size += blob.size;
+            project.updated = render.created;
+            if (settings) project.settings = settings;
+        });
+        await this.done(tx);
+        return { ...render, id: request.result };
+    }
+
+    // 按名称或源文件名搜索（不区分大小写），最近更新的在前
+    async list(query = '') {
+        const db = await this.open();
+        const tx = db.transaction('projects', 'readonly');
+        const request = tx.objectStore('projects').getAll();
+        await this.done(tx);
+
+        const keyword = query.trim().toLowerCase();
+        return request.result
+            .filter(project => !keyword
+                || project.name.toLowerCase().includes(keyword)
+                || project.source.name.toLowerCase().includes(keyword))
+            .sort((a, b) => b.updated - a.updated);
+    }
+
+    // 返回 { project, renders }，渲染按时间先后排列；项目不存在时为 null
+    async get(id) {
+        const db = await this.open();
+        const tx = db.transaction(['projects', 'renders'], 'readonly');
+        const project = tx.objectStore('projects').get(id);
+        const renders = tx.objectStore('renders').index('projectId').getAll(id);
+        await this.done(tx);
+
+        if (!project.result) return null;
+        return { project: project.result, renders: renders.result.sort((a, b) => a.created - b.created) };
+    }
+
+    async rename(id, name) {
+        const db = await this.open();
+        const tx = db.transaction('projects', 'readwrite');
+        this.update(tx, id, project => {
+            project.name = name;
+        });
+        await this.done(tx);
+    }
+
+    // 连同它的渲染结果一起删除
+    async remove(id) {
+        const db = await this.open();
+        const tx = db.transaction(['projects', 'renders'], 'readwrite');
+        tx.objectStore('projects').delete(id);
+        const renders = tx.objectStore('renders');
+        const keys = renders.index('projectId').getAllKeys(id);
+        keys.onsuccess = () => keys.result.forEach(key => renders.delete(key));
+        await this.done(tx);
+    }
+
+    // 在同一事务里读出项目、修改后写回
+    update(tx, id, change) {
+        const store = tx.objectStore('projects');
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (!request.result) return;
+            change(request.result);
+            store.put(request.result);
+        };
+    }
+
+    // 事务提交后完成；空间不足时给出可读的提示
+    done(tx) {
+        return new Promise((resolve, reject) => {
+            const fail = () => {
+                const error = tx.error;
+                reject(error && error.name === 'QuotaExceededError'
+                    ? new Error('浏览器存储空间不足，请删除一些项目后再试')
+                    : new Error(`项目库操作失败: ${error ? error.message : '事务已中止'}`));
+            };
+            tx.oncomplete = () => resolve();
+            tx.onabort = fail;
+        });
+    }
+
+    // { usage, quota }（字节），浏览器不支持时为 null
+    async estimate() {
+        const storage = globalThis.navigator && globalThis.navigator.storage;
+        if (!storage || !storage.estimate) return null;
+        const { usage = 0, quota = 0 } = await storage.estimate();
+        return { usage, quota };
+    }
+
+    // 申请持久化存储，避免空间紧张时被浏览器自动清除；返回是否已持久化
+    async persist() {
+        const storage = globalThis.navigator && globalThis.navigator.storage;
+        if (!storage || !storage.persist) return false;
+        if (storage.persisted && await storage.persisted()) return true;
+        return storage.persist();
+    }
+}
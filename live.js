@@ -0,0 +1,132 @@
+// 实时模式：麦克风 → 效果链 → 扬声器，低延迟，可边听边录
+// 处理节点与试听共用 preview-worklet.js，录音复用 AudioCapture
+class LiveDistortion {
+    constructor(loader) {
+        this.loader = loader;
+        this.moduleLoaded = false;
+        this.stream = null;
+        this.source = null;
+        this.node = null;
+        this.analyser = null;
+        this.capture = null;
+        this.settings = null;
+        this.chainLatency = null; // 效果链自身的延迟（样本数），按当前设置算一次
+        this.inputGain = 1;
+        this.ceiling = Math.pow(10, -12 / 20); // -12 dB
+        this.bypass = false;
+        this.channelCount = 1;
+    }
+
+    get running() {
+        return Boolean(this.stream);
+    }
+
+    get recording() {
+        return Boolean(this.capture);
+    }
+
+    get recordDuration() {
+        return this.capture ? this.capture.duration : 0;
+    }
+
+    // 输入到输出的大致延迟（秒）：音频设备与一个处理块，加上效果链里 STFT 等效果级的延迟
+    get latency() {
+        const context = this.loader.audioContext;
+        if (!context) return 0;
+        if (this.chainLatency === null && this.settings) {
+            const random = DamageDSP.createRandom(this.settings.seed);
+            this.chainLatency = DamageDSP.createChannelProcessor(this.settings, context.sampleRate, random).latency;
+        }
+        const chain = this.bypass ? 0 : this.chainLatency || 0;
+        return (context.baseLatency || 0) + (context.outputLatency || 0) + (128 + chain) / context.sampleRate;
+    }
+
+    async start(settings, echoCancellation = true) {
+        if (this.running) return;
+
+        const context = this.loader.ensureContext();
+        if (!this.moduleLoaded) {
+            if (!context.audioWorklet) {
+                throw new Error('浏览器不支持 AudioWorklet，无法实时处理');
+            }
+            await context.audioWorklet.addModule('dsp.js');
+            await context.audioWorklet.addModule('preview-worklet.js');
+            await AudioCapture.loadModule(context);
+            this.moduleLoaded = true;
+        }
+
+        this.stream = await openMicrophone(echoCancellation);
+        await context.resume();
+
+        const track = this.stream.getAudioTracks()[0];
+        this.channelCount = Math.min(2, (track && track.getSettings().channelCount) || 1);
+        this.source = context.createMediaStreamSource(this.stream);
+        this.node = new AudioWorkletNode(context, 'damage-live', {
+            outputChannelCount: [this.channelCount]
+        });
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 2048;
+
+        this.source.connect(this.node);
+        this.node.connect(this.analyser);
+        this.node.connect(context.destination);
+        this.setSettings(settings);
+        this.sendState();
+    }
+
+    stop() {
+        if (!this.running) return;
+        if (this.capture) this.capture.cancel();
+        this.capture = null;
+
+        this.source.disconnect();
+        this.node.disconnect();
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.source = null;
+        this.node = null;
+        this.analyser = null;
+    }
+
+    // 效果链在处理节点里原地更新，滤波状态不中断
+    setSettings(settings) {
+        this.settings = { ...settings };
+        this.chainLatency = null;
+        if (this.node) this.node.port.postMessage({ settings: this.settings });
+    }
+
+    // gain 为线性倍数，ceiling 为限制器上限（线性）
+    setLevels({ inputGain = this.inputGain, ceiling = this.ceiling }) {
+        this.inputGain = inputGain;
+        this.ceiling = ceiling;
+        this.sendState();
+    }
+
+    setBypass(bypass) {
+        this.bypass = bypass;
+        this.sendState();
+    }
+
+    sendState() {
+        if (!this.node) return;
+        this.node.port.postMessage({ inputGain: this.inputGain, ceiling: this.ceiling, bypass: this.bypass });
+    }
+
+    // 输出峰值 0–1，供电平表使用
+    level() {
+        return this.analyser ? analyserPeak(this.analyser) : 0;
+    }
+
+    startRecording() {
+        if (!this.running || this.capture) return;
+        this.capture = new AudioCapture(this.loader.audioContext, this.node, this.channelCount);
+    }
+
+    // 返回录下的 WAV 文件，没有内容时为 null
+    async stopRecording() {
+        if (!this.capture) return null;
+        const capture = this.capture;
+        this.capture = null;
+        return capture.stop('实时录音');
+    }
+}
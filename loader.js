@@ -0,0 +1,219 @@
+// 共用的文件加载：校验、解码与缓存，失真和压缩两种模式共用一个实例
+
+// 可识别的格式；mime 用于 canPlayType 判断浏览器是否支持
+const AUDIO_FORMATS = {
+    wav: { id: 'wav', label: 'WAV', mime: 'audio/wav' },
+    mp3: { id: 'mp3', label: 'MP3', mime: 'audio/mpeg' },
+    aac: { id: 'aac', label: 'AAC (ADTS)', mime: 'audio/aac' },
+    flac: { id: 'flac', label: 'FLAC', mime: 'audio/flac' },
+    opus: { id: 'opus', label: 'Ogg Opus', mime: 'audio/ogg; codecs=opus' },
+    vorbis: { id: 'vorbis', label: 'Ogg Vorbis', mime: 'audio/ogg; codecs=vorbis' },
+    oggFlac: { id: 'oggFlac', label: 'Ogg FLAC', mime: 'audio/ogg; codecs=flac' },
+    ogg: { id: 'ogg', label: 'Ogg', mime: 'audio/ogg' },
+    mp4: { id: 'mp4', label: 'MP4/M4A', mime: 'audio/mp4' },
+    webm: { id: 'webm', label: 'WebM/Matroska', mime: 'audio/webm' }
+};
+
+class AudioLoader {
+    // 整段解码进内存的上限，超过后走分段处理
+    static MEMORY_LIMIT = 50 * 1024 * 1024;
+    // 视频大部分字节是画面，解码出的音轨远小于文件本身，放宽上限
+    static VIDEO_LIMIT = 500 * 1024 * 1024;
+
+    // 传入 audioContext 可让多个实例共用（批量并行处理）
+    constructor(audioContext = null) {
+        this.audioContext = audioContext;
+        this.decodedFile = null;
+        this.decodedBuffer = null;
+        this.reports = new WeakMap(); // 文件 → validateFile 的格式报告
+    }
+
+    static createAbortError() {
+        const error = new Error('处理已取消');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    ensureContext() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        return this.audioContext;
+    }
+
+    // 同一文件只解码一次，试听、可视化与渲染共用
+    async decodeFile(file) {
+        if (this.decodedFile !== file) {
+            const buffer = await this.fileToAudioBuffer(file);
+            this.decodedBuffer = buffer;
+            this.decodedFile = file;
+            return buffer;
+        }
+        return this.decodedBuffer;
+    }
+
+    clearCache() {
+        this.decodedFile = null;
+        this.decodedBuffer = null;
+    }
+
+    // 按文件头魔数识别格式，浏览器报告的 file.type 经常为空或不准
+    // 返回 AUDIO_FORMATS 中的一项，无法识别时返回 null
+    static sniffFormat(bytes) {
+        const ascii = (offset, text) => text.split('').every((char, i) => bytes[offset + i] === char.charCodeAt(0));
+
+        // ID3v2 标签后面可能是 MP3，也可能是 FLAC/AAC
+        if (ascii(0, 'ID3') && bytes.length >= 10) {
+            const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+            const offset = 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+            return offset + 4 <= bytes.length ? this.sniffFormat(bytes.subarray(offset)) || AUDIO_FORMATS.mp3 : AUDIO_FORMATS.mp3;
+        }
+
+        if (ascii(0, 'RIFF') && ascii(8, 'WAVE')) return AUDIO_FORMATS.wav;
+        if (ascii(0, 'fLaC')) return AUDIO_FORMATS.flac;
+        if (ascii(4, 'ftyp')) return AUDIO_FORMATS.mp4;
+        if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) return AUDIO_FORMATS.webm;
+        if (ascii(0, 'OggS')) {
+            if (ascii(28, 'OpusHead')) return AUDIO_FORMATS.opus;
+            if (ascii(29, 'vorbis')) return AUDIO_FORMATS.vorbis;
+            if (ascii(29, 'FLAC')) return AUDIO_FORMATS.oggFlac;
+            return AUDIO_FORMATS.ogg;
+        }
+
+        // 帧同步字：层号 00 为 AAC ADTS，其余为 MPEG 音频
+        if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+            if ((bytes[1] & 0xF6) === 0xF0) return AUDIO_FORMATS.aac;
+            if ((bytes[1] & 0x06) !== 0 && ((bytes[1] >> 3) & 3) !== 1) return AUDIO_FORMATS.mp3;
+        }
+        return null;
+    }
+
+    // 视频容器只解码其中的音轨
+    isVideo(file) {
+        return /^video\//.test(file.type) || (!file.type && /\.(mp4|m4v|mov|webm|mkv)$/i.test(file.name));
+    }
+
+    // WAV 可直接按字节切片；MP3 需要浏览器支持 WebCodecs 才能逐帧解码
+    canStream(format) {
+        return format.id === 'wav' || (format.id === 'mp3' && Mp3SegmentReader.supported());
+    }
+
+    // 超过内存上限的文件改走分段处理，不整段解码；须先经过 validateFile
+    shouldStream(file) {
+        const report = this.reports.get(file);
+        return Boolean(report && report.streaming);
+    }
+
+    // 返回 { sampleRate, numberOfChannels, length, segments() }，同一文件只打开一次
+    async openSegments(file) {
+        const report = this.reports.get(file);
+        if (!report.source) {
+            report.source = report.format.id === 'wav'
+                ? await WavSegmentReader.open(file)
+                : await Mp3SegmentReader.open(file);
+        }
+        return report.source;
+    }
+
+    // 检测文件头并试解码，返回格式报告：
+    // { format, reportedType, video, streaming, sampleRate, numberOfChannels, duration }
+    // 任何一步不通过都抛出说明具体原因的错误
+    async validateFile(file) {
+        if (this.reports.has(file)) return this.reports.get(file);
+
+        const size = `${(file.size/1024/1024).toFixed(1)}MB`;
+        if (!file.size) {
+            throw new Error('文件为空');
+        }
+
+        // 文件头检查
+        const head = new Uint8Array(await file.slice(0, 64 * 1024).arrayBuffer());
+        const format = AudioLoader.sniffFormat(head);
+        if (!format) {
+            throw new Error(`无法识别的文件格式（浏览器报告类型: ${file.type || '未知'}），请使用WAV/MP3/FLAC/OGG/M4A/AAC`);
+        }
+
+        // 文件大小检查：超过上限时只有能分段读取的格式可以继续
+        const video = this.isVideo(file);
+        if (video && file.size > AudioLoader.VIDEO_LIMIT) {
+            throw new Error(`视频文件过大 (${size})，请选择小于500MB的视频`);
+        }
+        const streaming = !video && file.size > AudioLoader.MEMORY_LIMIT;
+        if (streaming && !this.canStream(format)) {
+            const formats = Mp3SegmentReader.supported() ? 'WAV/MP3' : 'WAV';
+            throw new Error(`文件过大 (${size})，超过50MB的音频仅支持${formats}格式，该文件为 ${format.label}`);
+        }
+
+        const report = { format, reportedType: file.type, video, streaming };
+        this.reports.set(file, report);
+
+        try {
+            Object.assign(report, streaming ? await this.trialSegments(file) : await this.trialDecode(file));
+        } catch (error) {
+            this.reports.delete(file);
+            throw new Error(`${format.label} 文件无法解码：${this.decodeFailureReason(format, error, video)}`);
+        }
+        return report;
+    }
+
+    // 整段解码即试解码，结果缓存给后续处理
+    async trialDecode(file) {
+        const buffer = await this.decodeFile(file);
+        return {
+            sampleRate: buffer.sampleRate,
+            numberOfChannels: buffer.numberOfChannels,
+            duration: buffer.duration
+        };
+    }
+
+    // 分段文件只解第一段
+    async trialSegments(file) {
+        const source = await this.openSegments(file);
+        const segments = source.segments();
+        const first = await segments.next();
+        await segments.return();
+        if (first.done) {
+            throw new Error('没有音频数据');
+        }
+        return {
+            sampleRate: source.sampleRate,
+            numberOfChannels: source.numberOfChannels,
+            duration: source.length / source.sampleRate
+        };
+    }
+
+    decodeFailureReason(format, error, video = false) {
+        const probe = typeof Audio !== 'undefined' ? new Audio().canPlayType(format.mime) : 'maybe';
+        if (!probe) {
+            return `当前浏览器不支持 ${format.label} 格式，请转换为 WAV 或 MP3`;
+        }
+        if (video || format.id === 'mp4' || format.id === 'webm') {
+            return '容器内可能没有音轨，或音频编码（如 ALAC）不受浏览器支持';
+        }
+        return `文件可能已损坏或被截断（${error.message}）`;
+    }
+
+    fileToAudioBuffer(file) {
+        const context = this.ensureContext();
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    context.decodeAudioData(e.target.result)
+                        .then(resolve)
+                        .catch((err) => {
+                            reject(new Error(`音频解码失败: ${err.message || '文件可能损坏'}`));
+                        });
+                } catch (decodeError) {
+                    reject(new Error('浏览器不支持该音频编码'));
+                }
+            };
+
+            reader.onerror = () => reject(new Error('文件读取失败'));
+            reader.onabort = () => reject(new Error('读取被取消'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+}
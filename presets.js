@@ -0,0 +1,316 @@
+// 预设：内置配方 + localStorage 用户预设，支持 JSON 导入导出与链接分享
+const BUILTIN_PRESETS = [
+    {
+        name: '☎️ 老电话',
+        settings: {
+            chain: [
+                { type: 'telephone', intensity: 7, params: { lowCut: 400, highCut: 3000 } },
+                { type: 'noise', intensity: 1 },
+                { type: 'crackle', intensity: 2 }
+            ]
+        }
+    },
+    {
+        name: '💿 坏掉的MP3',
+        settings: {
+            chain: [
+                { type: 'crushed', intensity: 9 },
+                { type: 'glitch', intensity: 6 }
+            ]
+        }
+    },
+    {
+        name: '📡 对讲机',
+        settings: {
+            chain: [
+                { type: 'radio', intensity: 8, params: { center: 1600, drift: 0.2 } },
+                { type: 'telephone', intensity: 5, params: { lowCut: 500, highCut: 2800 } },
+                { type: 'noise', intensity: 2 }
+            ]
+        }
+    },
+    {
+        name: '📼 受潮磁带',
+        settings: {
+            chain: [
+                { type: 'cassette', intensity: 8, params: { cutoff: 4000, wow: 0.8, flutter: 0.5 } },
+                { type: 'crackle', intensity: 1 }
+            ]
+        }
+    },
+    {
+        name: '📶 卡顿的网络通话',
+        settings: {
+            chain: [
+                { type: 'codec', intensity: 7, params: { kbps: 16 } },
+                { type: 'packetloss', intensity: 5, params: { loss: 0.12, burst: 0.6, conceal: 0.8 } }
+            ]
+        }
+    }
+];
+
+const SCRIPT_TYPE = /^script-[a-z0-9]{1,16}$/;
+const SCRIPT_MAX_LENGTH = 20000;
+
+class PresetManager {
+    // 用户脚本效果库单独保存；预设与分享链接只带上效果链用到的脚本
+    constructor(storageKey = 'yjjz.presets', scriptsKey = 'yjjz.scripts') {
+        this.storageKey = storageKey;
+        this.scriptsKey = scriptsKey;
+        this.userPresets = this.loadUserPresets();
+        this.scripts = this.loadScripts();
+    }
+
+    get builtinPresets() {
+        return BUILTIN_PRESETS;
+    }
+
+    loadUserPresets() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return data.filter(preset => {
+                try {
+                    this.fromPortable(preset.settings);
+                    return typeof preset.name === 'string';
+                } catch (error) {
+                    console.warn('忽略损坏的预设:', preset && preset.name, error.message);
+                    return false;
+                }
+            });
+        } catch (error) {
+            console.warn('读取预设失败:', error);
+            return [];
+        }
+    }
+
+    saveUserPresets() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.userPresets));
+    }
+
+    // 同名覆盖
+    save(name, settings) {
+        const preset = { name, settings: this.toPortable(settings) };
+        const index = this.userPresets.findIndex(p => p.name === name);
+        if (index >= 0) {
+            this.userPresets[index] = preset;
+        } else {
+            this.userPresets.push(preset);
+        }
+        this.saveUserPresets();
+        return preset;
+    }
+
+    remove(name) {
+        this.userPresets = this.userPresets.filter(p => p.name !== name);
+        this.saveUserPresets();
+    }
+
+    loadScripts() {
+        try {
+            return this.scriptsFromPortable(JSON.parse(localStorage.getItem(this.scriptsKey) || '[]'));
+        } catch (error) {
+            console.warn('读取脚本效果失败:', error);
+            return [];
+        }
+    }
+
+    saveScripts() {
+        localStorage.setItem(this.scriptsKey, JSON.stringify(this.scripts));
+    }
+
+    // 同类型覆盖；新脚本不带 type 时生成一个
+    saveScript({ type = `script-${Date.now().toString(36)}`, label, code }) {
+        const script = this.scriptsFromPortable([{ type, label, code }])[0];
+        const index = this.scripts.findIndex(s => s.type === script.type);
+        if (index >= 0) {
+            this.scripts[index] = script;
+        } else {
+            this.scripts.push(script);
+        }
+        this.saveScripts();
+        return script;
+    }
+
+    removeScript(type) {
+        this.scripts = this.scripts.filter(script => script.type !== type);
+        this.saveScripts();
+    }
+
+    // 库里已有完全相同的脚本
+    hasScript(script) {
+        return this.scripts.some(s => s.type === script.type && s.label === script.label && s.code === script.code);
+    }
+
+    // 预设带来的脚本并入库中，同类型以预设为准
+    mergeScripts(scripts) {
+        scripts.forEach(script => this.saveScript(script));
+    }
+
+    // 去掉运行时字段（stage id），只保留可复现结果的内容
+    toPortable(settings) {
+        const portable = {
+            chain: settings.chain.map(({ type, intensity, bypass, channel, params, curve }) => ({
+                type, intensity, bypass, ...(channel === 0 || channel === 1 ? { channel } : {}), params: { ...params },
+                ...(curve ? { curve: curve.map(({ x, y }) => ({ x, y })) } : {})
+            }))
+        };
+        const scripts = (settings.scripts || []).filter(script => settings.chain.some(stage => stage.type === script.type));
+        if (scripts.length) portable.scripts = scripts.map(({ type, label, code }) => ({ type, label, code }));
+        if (settings.seed !== undefined) portable.seed = settings.seed;
+        if (settings.stereo) portable.stereo = { ...settings.stereo, intensity: [...settings.stereo.intensity] };
+        if (settings.automation) {
+            portable.automation = {
+                enabled: settings.automation.enabled,
+                points: settings.automation.points.map(({ t, v, curve }) => ({ t, v, curve }))
+            };
+        }
+        return portable;
+    }
+
+    // 校验外部数据并补齐运行时字段，返回新的 settings
+    fromPortable(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('预设格式无效');
+        }
+
+        const settings = DamageDSP.normalizeSettings(data);
+        if (!Array.isArray(settings.chain)) {
+            throw new Error('预设缺少效果链');
+        }
+
+        // 预设自带的脚本效果优先于当前已注册的同名脚本
+        const scripts = settings.scripts === undefined ? [] : this.scriptsFromPortable(settings.scripts);
+        const chain = settings.chain.map(stage => {
+            const script = scripts.find(s => s.type === (stage && stage.type));
+            const effect = script ? { params: [] } : DamageDSP.effects[stage && stage.type];
+            if (!effect) {
+                throw new Error(`预设包含未知效果: ${stage && stage.type}`);
+            }
+
+            const intensity = Math.max(1, Math.min(10, Number(stage.intensity) || 5));
+            const created = DamageDSP.createStage(stage.type, intensity);
+            created.bypass = Boolean(stage.bypass);
+            if (stage.channel === 0 || stage.channel === 1) created.channel = stage.channel;
+            effect.params.forEach(def => {
+                const value = Number(stage.params && stage.params[def.key]);
+                if (Number.isFinite(value)) {
+                    created.params[def.key] = Math.max(def.min, Math.min(def.max, value));
+                }
+            });
+            if (effect.curve) {
+                created.curve = stage.curve === undefined ? DamageDSP.createCurve() : this.curveFromPortable(stage.curve);
+            }
+            return created;
+        });
+
+        const result = { chain };
+        if (scripts.length) result.scripts = scripts;
+        if (Number.isFinite(Number(settings.seed))) result.seed = Number(settings.seed) >>> 0;
+        if (settings.automation) result.automation = this.automationFromPortable(settings.automation);
+        if (settings.stereo) result.stereo = this.stereoFromPortable(settings.stereo);
+        return result;
+    }
+
+    scriptsFromPortable(data) {
+        if (!Array.isArray(data)) throw new Error('脚本效果格式无效');
+        return data.map(script => {
+            if (!script || !SCRIPT_TYPE.test(script.type)) {
+                throw new Error(`脚本效果类型无效: ${script && script.type}`);
+            }
+            if (typeof script.label !== 'string' || !script.label.trim()) {
+                throw new Error('脚本效果缺少名称');
+            }
+            if (typeof script.code !== 'string' || script.code.length > SCRIPT_MAX_LENGTH) {
+                throw new Error(`脚本效果「${script.label}」的代码无效或过长`);
+            }
+            return { type: script.type, label: script.label.trim().slice(0, 40), code: script.code };
+        });
+    }
+
+    // 控制点夹到 -1…1 并按 x 排序，首尾固定在 x = -1 与 x = 1
+    curveFromPortable(data) {
+        if (!Array.isArray(data) || data.length < 2 || data.length > 64) {
+            throw new Error('传输曲线需要 2–64 个控制点');
+        }
+
+        const clamp = (value) => Math.max(-1, Math.min(1, Number(value) || 0));
+        const points = data
+            .map(point => ({ x: clamp(point && point.x), y: clamp(point && point.y) }))
+            .sort((a, b) => a.x - b.x);
+        points[0].x = -1;
+        points[points.length - 1].x = 1;
+        return points;
+    }
+
+    stereoFromPortable(data) {
+        const clamp = (value) => Math.max(0, Math.min(1, Number(value) || 0));
+        const intensity = Array.isArray(data.intensity) ? data.intensity : [];
+        return {
+            mode: data.mode === 'ms' ? 'ms' : 'lr',
+            intensity: [0, 1].map(channel => intensity[channel] === undefined ? 1 : clamp(intensity[channel])),
+            dropout: clamp(data.dropout),
+            earbud: clamp(data.earbud),
+            earbudSide: data.earbudSide === 1 ? 1 : 0
+        };
+    }
+
+    automationFromPortable(data) {
+        if (!Array.isArray(data.points) || data.points.length < 2) {
+            throw new Error('自动化包络至少需要两个断点');
+        }
+
+        const clamp = (value) => Math.max(0, Math.min(1, Number(value) || 0));
+        return {
+            enabled: Boolean(data.enabled),
+            points: data.points
+                .map(point => ({ t: clamp(point.t), v: clamp(point.v), curve: point.curve === 'exp' ? 'exp' : 'linear' }))
+                .sort((a, b) => a.t - b.t)
+        };
+    }
+
+    exportJson() {
+        return JSON.stringify({ version: 1, presets: this.userPresets }, null, 2);
+    }
+
+    // 接受导出文件或单个预设对象，返回导入数量
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('不是有效的 JSON 文件');
+        }
+
+        const presets = Array.isArray(data.presets) ? data.presets : [data];
+        const imported = presets.map(preset => {
+            if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+                throw new Error('预设缺少名称');
+            }
+            return { name: preset.name.trim(), settings: this.toPortable(this.fromPortable(preset.settings)) };
+        });
+
+        imported.forEach(preset => this.save(preset.name, preset.settings));
+        return imported.length;
+    }
+
+    // 当前设置编码进链接的 hash，打开即还原
+    encodeToHash(settings) {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.toPortable(settings)));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `#s=${encoded}`;
+    }
+
+    decodeFromHash(hash) {
+        const match = /[#&]s=([A-Za-z0-9_-]+)/.exec(hash || '');
+        if (!match) return null;
+
+        const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return this.fromPortable(JSON.parse(new TextDecoder().decode(bytes)));
+    }
+}
@@ -0,0 +1,131 @@
+// 实时预览处理器：与离线渲染共用 DamageDSP（需先 addModule('dsp.js')）
+class DamagePreviewProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.settings = { seed: 0, chain: [] };
+        this.processors = [];
+        this.stereo = null;
+        this.amounts = new Float32Array(128);
+        this.weights = new Float32Array(128);
+        this.mask = null;
+        this.automation = null;
+        this.frame = 0;
+        this.totalFrames = 0;
+        this.bypass = false;
+
+        this.port.onmessage = (e) => {
+            if (e.data.settings) this.updateSettings(e.data.settings);
+            if (typeof e.data.position === 'number') {
+                this.frame = Math.round(e.data.position * sampleRate);
+                this.totalFrames = Math.round(e.data.duration * sampleRate);
+                this.automation = globalThis.DamageDSP.createAutomationCurve(this.settings.automation, this.totalFrames);
+            }
+            if (typeof e.data.bypass === 'boolean') this.bypass = e.data.bypass;
+        };
+    }
+
+    // 链结构不变时原地更新各级参数，处理器闭包内的滤波状态得以保留
+    // 脚本效果只注册为直通：用户代码不在音频线程运行
+    updateSettings(settings) {
+        globalThis.DamageDSP.registerScripts(settings.scripts);
+        this.mask = globalThis.DamageDSP.createRegionMask(settings.regions, sampleRate, settings.fade);
+        this.automation = globalThis.DamageDSP.createAutomationCurve(settings.automation, this.totalFrames);
+
+        const signature = (chain) => chain.map(stage => `${stage.id}:${stage.type}`).join('|');
+        const sameChain = signature(settings.chain) === signature(this.settings.chain);
+
+        if (sameChain && settings.seed === this.settings.seed) {
+            settings.chain.forEach((stage, i) => Object.assign(this.settings.chain[i], stage));
+            Object.assign(this.settings, { ...settings, chain: this.settings.chain });
+            return;
+        }
+
+        this.settings = settings;
+        this.processors = [];
+    }
+
+    // 每个输出声道一个处理器；多声道时按声道序号区分指定声道的效果级，并加上立体声处理
+    // 立体声处理的原声延迟线要与效果链延迟等长，所以在处理器之后创建
+    getProcessors(count) {
+        const DamageDSP = globalThis.DamageDSP;
+        const fresh = !this.processors.length;
+        if (fresh) this.random = DamageDSP.createRandom(this.settings.seed);
+        for (let channel = this.processors.length; channel < count; channel++) {
+            this.processors[channel] = DamageDSP.createChannelProcessor(this.settings, sampleRate, this.random, count > 1 ? channel : null);
+        }
+        if (fresh) {
+            this.stereo = count > 1 && this.settings.stereo ? DamageDSP.createStereoStage(this.settings, sampleRate, this.processors[0].latency) : null;
+        }
+        return this.processors;
+    }
+
+    // 把输入复制到输出（单声道输入铺到所有声道）；音源已停止时输出静音并返回 false
+    copyInput(input, output, gain = 1) {
+        if (!input.length) {
+            output.forEach(data => data.fill(0));
+            return false;
+        }
+        output.forEach((data, channel) => {
+            const source = input[channel] || input[0];
+            for (let i = 0; i < data.length; i++) data[i] = source[i] * gain;
+        });
+        return true;
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const length = output.length ? output[0].length : 0;
+
+        if (this.copyInput(inputs[0], output) && !this.bypass && length) {
+            const DamageDSP = globalThis.DamageDSP;
+            const mixed = this.mask || this.automation;
+            if (mixed && this.amounts.length < length) {
+                this.amounts = new Float32Array(length);
+                this.weights = new Float32Array(length);
+            }
+            const processors = this.getProcessors(output.length);
+            if (mixed) {
+                DamageDSP.fillMix(this.amounts, this.weights, length, this.frame, this.mask, this.automation, processors[0].latency);
+            }
+            DamageDSP.renderBatch(output, 0, length, processors, mixed ? this.amounts : null, mixed ? this.weights : null, this.stereo);
+        }
+
+        // 跟踪播放位置，供区域遮罩与自动化使用
+        this.frame += length;
+        return true;
+    }
+}
+
+// 实时输入：麦克风 → 输入增益 → 效果链 → 输出限制器
+// 没有播放位置，区域与自动化不适用；限制器始终生效，防止啸叫时音量失控
+class DamageLiveProcessor extends DamagePreviewProcessor {
+    constructor() {
+        super();
+        this.inputGain = 1;
+        this.limiter = globalThis.DamageDSP.createLimiter(Math.pow(10, -12 / 20), sampleRate, 0.1);
+
+        const handleMessage = this.port.onmessage;
+        this.port.onmessage = (e) => {
+            handleMessage(e);
+            if (typeof e.data.inputGain === 'number') this.inputGain = e.data.inputGain;
+            if (typeof e.data.ceiling === 'number') {
+                this.limiter = globalThis.DamageDSP.createLimiter(e.data.ceiling, sampleRate, 0.1);
+            }
+        };
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const length = output.length ? output[0].length : 0;
+
+        if (this.copyInput(inputs[0], output, this.inputGain) && !this.bypass && length) {
+            globalThis.DamageDSP.renderBatch(output, 0, length, this.getProcessors(output.length), null, null, this.stereo);
+        }
+
+        this.limiter(output);
+        return true;
+    }
+}
+
+registerProcessor('damage-preview', DamagePreviewProcessor);
+registerProcessor('damage-live', DamageLiveProcessor);
@@ -0,0 +1,128 @@
+// 实时试听：原声经 AudioWorklet 实时损坏，支持 A/B 切换与拖动进度
+class DistortionPreview {
+    constructor(loader) {
+        this.loader = loader;
+        this.buffer = null;
+        this.node = null;
+        this.source = null;
+        this.moduleLoaded = false;
+        this.playing = false;
+        this.offset = 0;
+        this.startedAt = 0;
+        this.bypass = false;
+        this.settings = null;
+    }
+
+    async load(buffer) {
+        this.stop();
+        this.buffer = buffer;
+        this.offset = 0;
+
+        const context = this.loader.ensureContext();
+        if (!this.moduleLoaded) {
+            if (!context.audioWorklet) {
+                throw new Error('浏览器不支持 AudioWorklet，无法实时试听');
+            }
+            await context.audioWorklet.addModule('dsp.js');
+            await context.audioWorklet.addModule('preview-worklet.js');
+            this.moduleLoaded = true;
+        }
+
+        // 按声道数重建处理节点
+        if (this.node) this.node.disconnect();
+        this.node = new AudioWorkletNode(context, 'damage-preview', {
+            outputChannelCount: [buffer.numberOfChannels]
+        });
+        this.node.connect(context.destination);
+        this.sendState();
+    }
+
+    // 释放原声，供换成不解码的大文件时调用
+    unload() {
+        this.stop();
+        this.buffer = null;
+    }
+
+    get duration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    get currentTime() {
+        if (!this.playing) return this.offset;
+        const time = this.loader.audioContext.currentTime - this.startedAt;
+        return Math.min(time, this.duration);
+    }
+
+    async play() {
+        if (!this.buffer || !this.node || this.playing) return;
+
+        const context = this.loader.audioContext;
+        await context.resume();
+
+        if (this.offset >= this.duration) this.offset = 0;
+
+        const source = context.createBufferSource();
+        source.buffer = this.buffer;
+        source.connect(this.node);
+        source.onended = () => {
+            // 自然播放结束（非暂停/拖动触发）
+            if (this.source === source) {
+                this.source = null;
+                this.playing = false;
+                this.offset = 0;
+                if (this.onEnded) this.onEnded();
+            }
+        };
+
+        source.start(0, this.offset);
+        this.node.port.postMessage({ position: this.offset, duration: this.duration });
+        this.source = source;
+        this.startedAt = context.currentTime - this.offset;
+        this.playing = true;
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.offset = this.currentTime;
+        this.stopSource();
+        this.playing = false;
+    }
+
+    stop() {
+        this.stopSource();
+        this.playing = false;
+        this.offset = 0;
+    }
+
+    seek(time) {
+        const wasPlaying = this.playing;
+        this.pause();
+        this.offset = Math.max(0, Math.min(time, this.duration));
+        if (wasPlaying) this.play();
+    }
+
+    stopSource() {
+        if (!this.source) return;
+        const source = this.source;
+        this.source = null;
+        source.stop();
+        source.disconnect();
+    }
+
+    setSettings(settings) {
+        this.settings = { ...settings };
+        this.sendState();
+    }
+
+    setBypass(bypass) {
+        this.bypass = bypass;
+        this.sendState();
+    }
+
+    sendState() {
+        if (!this.node) return;
+        const message = { bypass: this.bypass };
+        if (this.settings) message.settings = this.settings;
+        this.node.port.postMessage(message);
+    }
+}
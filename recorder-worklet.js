@@ -0,0 +1,49 @@
+// 录音处理器：把输入攒成块再转给主线程，避免每个渲染量子发一条消息
+const RECORD_BLOCK = 4096;
+
+class MicRecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.block = null;
+        this.filled = 0;
+
+        // 停止录音时先把未满的块发出去，再回复 flushed
+        this.port.onmessage = (e) => {
+            if (e.data === 'flush') {
+                this.send();
+                this.port.postMessage('flushed');
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input.length) return true;
+
+        if (!this.block || this.block.length !== input.length) {
+            this.send();
+            this.block = input.map(() => new Float32Array(RECORD_BLOCK));
+        }
+
+        let offset = 0;
+        while (offset < input[0].length) {
+            const take = Math.min(RECORD_BLOCK - this.filled, input[0].length - offset);
+            input.forEach((data, channel) => {
+                this.block[channel].set(data.subarray(offset, offset + take), this.filled);
+            });
+            this.filled += take;
+            offset += take;
+            if (this.filled === RECORD_BLOCK) this.send();
+        }
+        return true;
+    }
+
+    send() {
+        if (!this.block || !this.filled) return;
+        const block = this.block.map(data => data.slice(0, this.filled));
+        this.port.postMessage(block, block.map(data => data.buffer));
+        this.filled = 0;
+    }
+}
+
+registerProcessor('mic-recorder', MicRecorderProcessor);
@@ -0,0 +1,167 @@
+// 录音：麦克风或实时处理的输出 → AudioWorklet 收集原始样本 → WAV 文件
+// 从任意节点录制，停止时编码为 WAV（需先 loadModule）
+class AudioCapture {
+    constructor(context, source, channelCount = 1) {
+        this.context = context;
+        this.source = source;
+        this.chunks = [];
+        this.frames = 0;
+
+        // 节点输出为静音，接到 destination 只为保证持续处理
+        this.node = new AudioWorkletNode(context, 'mic-recorder', {
+            channelCount,
+            channelCountMode: 'explicit'
+        });
+        this.node.port.onmessage = (e) => this.receive(e.data);
+        source.connect(this.node);
+        this.node.connect(context.destination);
+    }
+
+    get duration() {
+        return this.frames / this.context.sampleRate;
+    }
+
+    receive(data) {
+        if (data === 'flushed') return;
+        this.chunks.push(data);
+        this.frames += data[0].length;
+    }
+
+    // 停止并返回 WAV 文件；什么都没录到时返回 null
+    async stop(name) {
+        await new Promise(resolve => {
+            this.node.port.onmessage = (e) => {
+                if (e.data === 'flushed') resolve();
+                else this.receive(e.data);
+            };
+            this.node.port.postMessage('flush');
+        });
+        this.cancel();
+
+        if (!this.frames) return null;
+        const channels = AudioCapture.joinChunks(this.chunks, this.frames);
+        this.chunks = [];
+
+        const wav = WavCodec.encode(channels, this.context.sampleRate, { bitDepth: 16 });
+        return new File([wav], `${name}_${AudioCapture.timestamp()}.wav`, { type: 'audio/wav', lastModified: Date.now() });
+    }
+
+    // 断开节点；chunks 保留到 stop 编码完
+    cancel() {
+        this.source.disconnect(this.node);
+        this.node.disconnect();
+        this.node.port.onmessage = null;
+    }
+
+    static joinChunks(chunks, frames) {
+        const channels = chunks[0].map(() => new Float32Array(frames));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            chunk.forEach((data, channel) => channels[channel].set(data, offset));
+            offset += chunk[0].length;
+        });
+        return channels;
+    }
+
+    // 例：20240105-093012
+    static timestamp(date = new Date()) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+            + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    static async loadModule(context) {
+        if (!context.audioWorklet) {
+            throw new Error('浏览器不支持 AudioWorklet，无法录音');
+        }
+        await context.audioWorklet.addModule('recorder-worklet.js');
+    }
+}
+
+// 打开麦克风；关闭浏览器的语音处理，录下原声（实时模式可打开回声消除）
+async function openMicrophone(echoCancellation = false) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error('浏览器不支持麦克风输入，请使用 HTTPS 页面或现代浏览器');
+    }
+    try {
+        return await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation, noiseSuppression: false, autoGainControl: false }
+        });
+    } catch (error) {
+        throw new Error(error.name === 'NotAllowedError' ? '麦克风权限被拒绝' : `无法打开麦克风: ${error.message}`);
+    }
+}
+
+// 麦克风录音：停止后得到的 WAV 文件交给与上传文件相同的处理流程
+class MicRecorder {
+    constructor(loader) {
+        this.loader = loader;
+        this.moduleLoaded = false;
+        this.stream = null;
+        this.source = null;
+        this.analyser = null;
+        this.capture = null;
+    }
+
+    get recording() {
+        return Boolean(this.stream);
+    }
+
+    get duration() {
+        return this.capture ? this.capture.duration : 0;
+    }
+
+    async start() {
+        if (this.recording) return;
+
+        const context = this.loader.ensureContext();
+        if (!this.moduleLoaded) {
+            await AudioCapture.loadModule(context);
+            this.moduleLoaded = true;
+        }
+
+        this.stream = await openMicrophone();
+        await context.resume();
+
+        this.source = context.createMediaStreamSource(this.stream);
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.source.connect(this.analyser);
+        this.capture = new AudioCapture(context, this.source, 1);
+    }
+
+    // 当前输入峰值 0–1，供电平表使用
+    level() {
+        return this.analyser ? analyserPeak(this.analyser) : 0;
+    }
+
+    // 停止并返回录音 WAV 文件；什么都没录到时返回 null
+    async stop() {
+        if (!this.recording) return null;
+        const file = await this.capture.stop('录音');
+        this.release();
+        return file;
+    }
+
+    // 放弃本次录音（重录）
+    cancel() {
+        if (!this.recording) return;
+        this.capture.cancel();
+        this.release();
+    }
+
+    release() {
+        this.source.disconnect();
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.source = null;
+        this.analyser = null;
+        this.capture = null;
+    }
+}
+
+function analyserPeak(analyser) {
+    const data = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(data);
+    return DamageDSP.peak([data]);
+}
@@ -0,0 +1,121 @@
+// 损坏区域：在波形上拖选时间段，只损坏选中部分；单击波形则跳转试听位置
+class RegionEditor {
+    constructor(canvas, list, onChange, onSeek) {
+        this.canvas = canvas;
+        this.list = list;
+        this.onChange = onChange;
+        this.onSeek = onSeek;
+        this.regions = [];
+        this.duration = 0;
+        this.dragStart = null;
+
+        this.bindEvents();
+    }
+
+    setRegions(regions, duration) {
+        this.regions = regions;
+        this.duration = duration;
+        this.render();
+    }
+
+    bindEvents() {
+        this.canvas.style.cursor = 'crosshair';
+        this.canvas.style.touchAction = 'none';
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.duration) return;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.dragStart = this.timeAt(e);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.dragStart === null) return;
+            const draft = this.spanOf(this.dragStart, this.timeAt(e));
+            this.onChange(this.regions.concat(draft), false);
+        });
+
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (this.dragStart === null) return;
+            const time = this.timeAt(e);
+            const region = this.spanOf(this.dragStart, time);
+            this.dragStart = null;
+
+            // 拖动距离过短视为单击
+            if (region.end - region.start < 0.05) {
+                this.onChange(this.regions, false);
+                this.onSeek(time);
+                return;
+            }
+
+            this.regions.push(region);
+            this.regions.sort((a, b) => a.start - b.start);
+            this.changed();
+        });
+    }
+
+    timeAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        return ratio * this.duration;
+    }
+
+    spanOf(a, b) {
+        return { start: Math.min(a, b), end: Math.max(a, b) };
+    }
+
+    remove(index) {
+        this.regions.splice(index, 1);
+        this.changed();
+    }
+
+    clear() {
+        this.regions.splice(0);
+        this.changed();
+    }
+
+    changed() {
+        this.render();
+        this.onChange(this.regions, true);
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (!this.regions.length) {
+            const hint = document.createElement('small');
+            hint.style.opacity = '0.7';
+            hint.textContent = '未选区域时损坏整首；在波形上拖动可只损坏部分片段';
+            this.list.appendChild(hint);
+            return;
+        }
+
+        this.regions.forEach((region, index) => {
+            const row = document.createElement('div');
+            row.className = 'batch-item-header';
+            const label = document.createElement('span');
+            label.className = 'batch-item-name';
+            label.textContent = `区域 ${index + 1}: ${this.formatTime(region.start)} – ${this.formatTime(region.end)}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'stage-btn';
+            remove.textContent = '✕';
+            remove.title = '移除区域';
+            remove.addEventListener('click', () => this.remove(index));
+
+            row.append(label, remove);
+            this.list.appendChild(row);
+        });
+
+        const clear = document.createElement('button');
+        clear.className = 'stage-btn';
+        clear.style.marginTop = '6px';
+        clear.textContent = '清除全部区域';
+        clear.addEventListener('click', () => this.clear());
+        this.list.appendChild(clear);
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds % 60).toFixed(2).padStart(5, '0')}`;
+    }
+}
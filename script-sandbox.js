@@ -0,0 +1,150 @@
+// 用户脚本效果的沙箱：脚本只在渲染 Worker 里编译运行，页面线程最多做语法检查
+// Worker 本身拿不到 DOM、Cookie 与 localStorage；lockdown 再屏蔽网络、存储、消息、动态代码与加载脚本的接口
+// 这是尽力而为的隔离，不等同于跨源 iframe，载入来路不明的预设前仍应看一眼脚本内容
+(function (root) {
+    const BLOCKED = [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'RTCPeerConnection',
+        'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'MessageChannel', 'Worker', 'SharedWorker',
+        'postMessage', 'close', 'navigator', 'location', 'eval', 'Function'
+    ];
+    const BLOCK_SIZE = 128;
+    // lockdown 之后全局的 Function 已不可用，编译用事先保存的构造函数
+    const FunctionConstructor = Function;
+
+    function label(script) {
+        return `脚本效果「${script.label}」`;
+    }
+
+    // 运行用户函数，异常统一带上效果名
+    function run(script, fn, ...args) {
+        try {
+            return fn(...args);
+        } catch (error) {
+            throw new Error(`${label(script)}运行出错: ${error && error.message}`);
+        }
+    }
+
+    const UserScriptSandbox = {
+        BLOCK_SIZE,
+
+        // 屏蔽 scope 及其原型链上的危险接口，也封掉各类函数的 constructor（否则可借此重新拿到 Function）
+        // 返回屏蔽前绑定好的 postMessage，Worker 只用它回复主线程
+        lockdown(scope) {
+            const post = typeof scope.postMessage === 'function' ? scope.postMessage.bind(scope) : null;
+            const seal = (target, name) => {
+                try {
+                    Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false });
+                } catch (error) {
+                    // 不可配置的属性本身就改不掉，保持原样
+                }
+            };
+
+            for (let target = scope; target; target = Object.getPrototypeOf(target)) {
+                BLOCKED.forEach(name => {
+                    if (Object.prototype.hasOwnProperty.call(target, name)) seal(target, name);
+                });
+            }
+            [function () {}, async function () {}, function* () {}, async function* () {}].forEach(fn => {
+                seal(Object.getPrototypeOf(fn), 'constructor');
+            });
+            return post;
+        },
+
+        // 把 scope 上的 names 连同它们引用的对象、函数与类的原型一起冻结，全局绑定也改为只读
+        // 在注册完脚本效果、编译第一个脚本之前调用：脚本与处理代码同在一个环境，冻结后无法替换其中的函数或改动效果注册表
+        // 类型化数组与 ArrayBuffer 无法冻结，跳过
+        freeze(scope, names) {
+            const seen = new Set();
+            const visit = (value) => {
+                if (value === null || (typeof value !== 'object' && typeof value !== 'function') || seen.has(value)) return;
+                if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return;
+                seen.add(value);
+                Object.freeze(value);
+                Reflect.ownKeys(value).forEach(key => {
+                    const { value: property, get, set } = Object.getOwnPropertyDescriptor(value, key);
+                    [property, get, set].forEach(visit);
+                });
+            };
+
+            names.forEach(name => {
+                const value = scope[name];
+                visit(value);
+                Object.defineProperty(scope, name, { value, writable: false, configurable: false });
+            });
+        },
+
+        // 只做语法与结构检查，不执行脚本：页面保存脚本前调用，出错时抛出可直接展示的消息
+        check(script) {
+            if (!script.label || !String(script.label).trim()) throw new Error('请填写脚本效果名称');
+            this.compileSource(script);
+            if (!/\bfunction\s+process(Block)?\s*\(/.test(script.code)) {
+                throw new Error(`${label(script)}需要定义 function process(x, ctx) 或 function processBlock(block, ctx)`);
+            }
+        },
+
+        // 返回工厂函数，每次调用都重新执行脚本顶层代码，得到一套独立的 process / processBlock
+        compileSource(script) {
+            // import() 是语法而非全局属性，lockdown 屏蔽不了，只能在源码层面拒绝
+            // import 与括号之间可以夹注释和换行，所以只要出现 import 这个词就拒绝，注释和字符串里的也算；
+            // 关键字不能用 \u 转义拼写，这样查不会漏
+            if (/\bimport\b/.test(script.code)) {
+                throw new Error(`${label(script)}不允许使用 import()`);
+            }
+            try {
+                return new FunctionConstructor(`"use strict";\n${script.code}\n;return {
+                    process: typeof process === 'function' ? process : null,
+                    processBlock: typeof processBlock === 'function' ? processBlock : null
+                };`);
+            } catch (error) {
+                throw new Error(`${label(script)}编译失败: ${error.message}`);
+            }
+        },
+
+        // DamageDSP.registerScripts 的 compile 参数：每个声道调用一次，脚本顶层变量与 ctx.state 都按声道独立
+        // ctx: { sampleRate, intensity（已含自动化缩放）, random（可复现的随机数）, state }
+        // 非有限的输出按 0 处理，避免 NaN 污染后续效果级
+        compile(script, stage, { sampleRate, random }) {
+            const factory = this.compileSource(script);
+            const { process, processBlock } = run(script, factory);
+            if (!process && !processBlock) {
+                throw new Error(`${label(script)}需要定义 function process(x, ctx) 或 function processBlock(block, ctx)`);
+            }
+            const ctx = { sampleRate, intensity: stage.intensity, random, state: {} };
+
+            if (process) {
+                return (sample) => {
+                    ctx.intensity = stage.intensity;
+                    const value = run(script, process, sample, ctx);
+                    return Number.isFinite(value) ? value : 0;
+                };
+            }
+
+            // 按块处理：凑满 BLOCK_SIZE 个样本调用一次，可原地修改 block 或返回新数组；输出比输入晚一块，由渲染器补偿
+            const input = new Float32Array(BLOCK_SIZE);
+            const output = new Float32Array(BLOCK_SIZE);
+            let position = 0;
+            const processSample = (sample) => {
+                const value = output[position];
+                input[position] = sample;
+                if (++position === BLOCK_SIZE) {
+                    position = 0;
+                    ctx.intensity = stage.intensity;
+                    const block = input.slice();
+                    const result = run(script, processBlock, block, ctx);
+                    const source = result && result.length === BLOCK_SIZE ? result : block;
+                    for (let i = 0; i < BLOCK_SIZE; i++) {
+                        output[i] = Number.isFinite(source[i]) ? source[i] : 0;
+                    }
+                }
+                return value;
+            };
+            processSample.latency = BLOCK_SIZE;
+            return processSample;
+        }
+    };
+
+    root.UserScriptSandbox = UserScriptSandbox;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = UserScriptSandbox;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,226 @@
+// 大文件分段读取：WAV 按字节范围切片直接解析，MP3 逐帧送入 WebCodecs 解码，整首不进内存
+// 两者都提供 { sampleRate, numberOfChannels, length, segments() }，segments() 异步产出各声道 Float32Array
+const SEGMENT_BYTES = 4 * 1024 * 1024;
+
+class WavSegmentReader {
+    static async open(file) {
+        const head = await file.slice(0, 1024 * 1024).arrayBuffer();
+        return new WavSegmentReader(file, WavCodec.decodeHeader(head, file.size));
+    }
+
+    constructor(file, header) {
+        this.file = file;
+        this.header = header;
+        this.sampleRate = header.format.sampleRate;
+        this.numberOfChannels = header.format.numChannels;
+        this.length = header.frames;
+    }
+
+    async *segments() {
+        const { format, dataOffset, dataSize } = this.header;
+        const step = Math.max(1, Math.floor(SEGMENT_BYTES / format.blockSize)) * format.blockSize;
+        let remaining = this.length;
+
+        for (let offset = 0; offset < dataSize && remaining > 0; offset += step) {
+            const end = Math.min(dataSize, offset + step);
+            const bytes = await this.file.slice(dataOffset + offset, dataOffset + end).arrayBuffer();
+            let channels = WavCodec.decodeSamples(new DataView(bytes), format);
+
+            // ADPCM 最后一块的补零样本
+            if (channels[0].length > remaining) {
+                channels = channels.map(data => data.slice(0, remaining));
+            }
+            remaining -= channels[0].length;
+            if (channels[0].length) yield channels;
+        }
+    }
+}
+
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG-1
+    2: [22050, 24000, 16000], // MPEG-2
+    0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+class Mp3SegmentReader {
+    static supported() {
+        return typeof AudioDecoder !== 'undefined' && typeof EncodedAudioChunk !== 'undefined';
+    }
+
+    // MPEG Layer III 帧头，无效时返回 null
+    static parseFrameHeader(bytes, offset) {
+        if (offset + 4 > bytes.length || bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) {
+            return null;
+        }
+
+        const version = (bytes[offset + 1] >> 3) & 3;
+        const layer = (bytes[offset + 1] >> 1) & 3;
+        const bitrateIndex = bytes[offset + 2] >> 4;
+        const rateIndex = (bytes[offset + 2] >> 2) & 3;
+        if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+            return null;
+        }
+
+        const mpeg1 = version === 3;
+        const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIndex] * 1000;
+        const sampleRate = MP3_SAMPLE_RATES[version][rateIndex];
+        const padding = (bytes[offset + 2] >> 1) & 1;
+        return {
+            sampleRate,
+            numberOfChannels: (bytes[offset + 3] >> 6) === 3 ? 1 : 2,
+            samples: mpeg1 ? 1152 : 576,
+            size: Math.floor((mpeg1 ? 144 : 72) * bitrate / sampleRate) + padding
+        };
+    }
+
+    // 第一遍只扫描帧头：记录每帧位置，得到采样率、声道数与总长度
+    static async open(file) {
+        const frames = [];
+        let format = null;
+        let buffer = new Uint8Array(0);
+        let bufferStart = 0;
+
+        // 保证 [start, end) 已读入缓冲区，返回是否读到
+        const ensure = async (start, end) => {
+            end = Math.min(end, file.size);
+            if (start < bufferStart) return false;
+            if (end <= bufferStart + buffer.length) return true;
+
+            const keep = buffer.subarray(Math.min(buffer.length, start - bufferStart));
+            const more = new Uint8Array(await file.slice(bufferStart + buffer.length, Math.max(end, start + SEGMENT_BYTES)).arrayBuffer());
+            buffer = new Uint8Array(keep.length + more.length);
+            buffer.set(keep);
+            buffer.set(more, keep.length);
+            bufferStart = start;
+            return end <= bufferStart + buffer.length;
+        };
+
+        // 跳过 ID3v2 标签
+        let position = 0;
+        if (await ensure(0, 10) && buffer[0] === 0x49 && buffer[1] === 0x44 && buffer[2] === 0x33) {
+            const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+            position = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+        }
+
+        while (position + 4 <= file.size) {
+            await ensure(position, position + 4);
+            const header = this.parseFrameHeader(buffer, position - bufferStart);
+            if (!header || (format && header.sampleRate !== format.sampleRate)) {
+                position++;
+                continue;
+            }
+
+            // 首帧要求紧随其后也是有效帧头，避免把杂数据误认作同步字
+            if (!format) {
+                const next = position + header.size;
+                if (next + 4 <= file.size) {
+                    await ensure(position, next + 4);
+                    const following = this.parseFrameHeader(buffer, next - bufferStart);
+                    if (!following || following.sampleRate !== header.sampleRate) {
+                        position++;
+                        continue;
+                    }
+                }
+                format = header;
+            }
+
+            frames.push({ offset: position, size: header.size });
+            position += header.size;
+        }
+
+        if (!format) {
+            throw new Error('未找到有效的 MP3 音频帧');
+        }
+
+        const config = { codec: 'mp3', sampleRate: format.sampleRate, numberOfChannels: format.numberOfChannels };
+        const { supported } = await AudioDecoder.isConfigSupported(config);
+        if (!supported) {
+            throw new Error('浏览器不支持分段解码 MP3');
+        }
+
+        return new Mp3SegmentReader(file, frames, format, config);
+    }
+
+    constructor(file, frames, format, config) {
+        this.file = file;
+        this.frames = frames;
+        this.config = config;
+        this.samplesPerFrame = format.samples;
+        this.sampleRate = format.sampleRate;
+        this.numberOfChannels = format.numberOfChannels;
+        this.length = frames.length * format.samples; // 估算值，只用于进度与自动化包络定位
+    }
+
+    async *segments() {
+        const queue = [];
+        let failure = null;
+        const decoder = new AudioDecoder({
+            output: (data) => queue.push(data),
+            error: (error) => { failure = error; }
+        });
+        decoder.configure(this.config);
+
+        const check = () => {
+            if (failure) throw new Error(`MP3 解码失败: ${failure.message}`);
+        };
+
+        try {
+            for (let i = 0; i < this.frames.length;) {
+                // 一次读取约 SEGMENT_BYTES 的连续帧
+                const first = this.frames[i];
+                let j = i + 1;
+                while (j < this.frames.length && this.frames[j].offset + this.frames[j].size - first.offset <= SEGMENT_BYTES) j++;
+                const last = this.frames[j - 1];
+                const bytes = new Uint8Array(await this.file.slice(first.offset, last.offset + last.size).arrayBuffer());
+
+                // 解码器自身跨帧保留比特池状态，不需要重叠
+                for (let k = i; k < j; k++) {
+                    const start = this.frames[k].offset - first.offset;
+                    decoder.decode(new EncodedAudioChunk({
+                        type: 'key',
+                        timestamp: Math.round(k * this.samplesPerFrame * 1e6 / this.sampleRate),
+                        data: bytes.subarray(start, start + this.frames[k].size)
+                    }));
+                }
+                i = j;
+
+                while (decoder.decodeQueueSize > 0 && !failure) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+                check();
+                if (queue.length) yield this.collect(queue.splice(0));
+            }
+
+            await decoder.flush();
+            check();
+            if (queue.length) yield this.collect(queue.splice(0));
+        } finally {
+            queue.forEach(data => data.close());
+            if (decoder.state !== 'closed') decoder.close();
+        }
+    }
+
+    // 把若干 AudioData 拼成各声道连续的 Float32Array
+    collect(list) {
+        const total = list.reduce((sum, data) => sum + data.numberOfFrames, 0);
+        const channels = Array.from({ length: this.numberOfChannels }, () => new Float32Array(total));
+        let offset = 0;
+
+        list.forEach(data => {
+            channels.forEach((channel, index) => {
+                data.copyTo(channel.subarray(offset, offset + data.numberOfFrames), {
+                    planeIndex: Math.min(index, data.numberOfChannels - 1),
+                    format: 'f32-planar'
+                });
+            });
+            offset += data.numberOfFrames;
+            data.close();
+        });
+
+        return channels;
+    }
+}
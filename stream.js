@@ -0,0 +1,136 @@
+// 分段处理流水线：效果链 → 导出处理 → 编码，逐段输出 WAV 样本数据，最后生成文件头
+// 与整段处理结果逐样本一致；Worker 与 Node 命令行共用，依赖 dsp.js 与 wav.js
+(function (root) {
+    const DamageDSP = root.DamageDSP || require('./dsp.js');
+    const WavCodec = root.WavCodec || require('./wav.js');
+
+    class StreamPipeline {
+        // length 为输入总帧数（自动化包络按它定位）；gain 为归一化或响度匹配时预先测得的增益
+        // measureOnly 时只统计导出峰值与处理后的响度，不编码，用于归一化和响度匹配的第一遍
+        constructor({ settings, sampleRate, numberOfChannels, length, exportOptions = {}, gain = 1, measureOnly = false }) {
+            this.render = DamageDSP.createRenderer(settings, sampleRate, numberOfChannels, length);
+            this.exportOptions = exportOptions;
+            this.exporter = DamageDSP.createExporter(numberOfChannels, sampleRate, {
+                ...exportOptions,
+                level: !measureOnly && ['limit', 'match'].includes(exportOptions.level) ? exportOptions.level : 'none',
+                gain
+            });
+            this.inputMeter = DamageDSP.createLoudnessMeter(sampleRate, numberOfChannels);
+            this.renderMeter = measureOnly ? DamageDSP.createLoudnessMeter(this.exporter.sampleRate, this.exporter.numberOfChannels) : null;
+            this.outputMeter = measureOnly ? null : DamageDSP.createLoudnessMeter(this.exporter.sampleRate, this.exporter.numberOfChannels);
+            this.bitDepth = exportOptions.bitDepth || 16;
+            this.measureOnly = measureOnly;
+            this.numberOfChannels = numberOfChannels;
+            // 效果链有延迟时，渲染结果开头的这些样本要丢掉，结束时再补零冲出尾部
+            this.skip = this.render.latency;
+            this.pending = [];
+            this.pendingLength = 0;
+            this.position = 0;
+            this.frames = 0;
+            this.peak = 0;
+        }
+
+        // 返回这一段编码后的字节；凑满 RENDER_BATCH 整数倍才处理，余下的留到下一段
+        push(channels) {
+            this.pending.push(channels);
+            this.pendingLength += channels[0].length;
+            const ready = this.pendingLength - this.pendingLength % DamageDSP.RENDER_BATCH;
+            return this.process(ready);
+        }
+
+        // 处理剩余样本、效果链延迟与重采样尾部；8位奇数长度时在末尾补一个字节
+        finish() {
+            const parts = [this.process(this.pendingLength)];
+            const latency = this.render.latency;
+            if (latency) {
+                parts.push(this.emit(Array.from({ length: this.numberOfChannels }, () => new Float32Array(latency))));
+            }
+            parts.push(this.output(this.exporter.flush()));
+
+            const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+            const padding = this.measureOnly ? 0 : (this.frames * this.exporter.numberOfChannels * this.bitDepth / 8) & 1;
+            const joined = new Uint8Array(size + padding);
+            let offset = 0;
+            parts.forEach(part => {
+                joined.set(new Uint8Array(part), offset);
+                offset += part.byteLength;
+            });
+            return joined.buffer;
+        }
+
+        // 响度测量：input 为原始输入，rendered 为效果链与混缩、重采样之后、加增益之前（仅第一遍），output 为写入文件的样本
+        loudness() {
+            return {
+                input: this.inputMeter.result(),
+                rendered: this.renderMeter ? this.renderMeter.result() : null,
+                output: this.outputMeter ? this.outputMeter.result() : null
+            };
+        }
+
+        // 所有样本写完后调用
+        header() {
+            return WavCodec.encodeHeader({
+                numChannels: this.exporter.numberOfChannels,
+                sampleRate: this.exporter.sampleRate,
+                bitDepth: this.bitDepth,
+                frames: this.frames,
+                info: this.exportOptions.info || null
+            });
+        }
+
+        process(count) {
+            if (!count) return new ArrayBuffer(0);
+
+            const numberOfChannels = this.pending[0].length;
+            const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(count));
+            let filled = 0;
+            while (filled < count) {
+                const segment = this.pending[0];
+                const take = Math.min(segment[0].length, count - filled);
+                segment.forEach((data, channel) => channels[channel].set(data.subarray(0, take), filled));
+                filled += take;
+
+                if (take === segment[0].length) {
+                    this.pending.shift();
+                } else {
+                    this.pending[0] = segment.map(data => data.subarray(take));
+                }
+            }
+            this.pendingLength -= count;
+
+            this.inputMeter.push(channels);
+            return this.emit(channels);
+        }
+
+        // 渲染一段并送去导出；丢掉效果链延迟造成的开头部分，与整段处理的对齐方式一致
+        emit(channels) {
+            this.render(channels, this.position);
+            this.position += channels[0].length;
+
+            if (this.skip) {
+                const drop = Math.min(this.skip, channels[0].length);
+                this.skip -= drop;
+                channels = channels.map(data => data.subarray(drop));
+                if (!channels[0].length) return new ArrayBuffer(0);
+            }
+
+            return this.output(this.exporter.process(channels));
+        }
+
+        output(channels) {
+            this.frames += channels[0].length;
+            if (this.measureOnly) {
+                this.peak = Math.max(this.peak, DamageDSP.peak(channels));
+                this.renderMeter.push(channels);
+                return new ArrayBuffer(0);
+            }
+            this.outputMeter.push(channels);
+            return WavCodec.encodeSamples(channels, this.bitDepth);
+        }
+    }
+
+    root.StreamPipeline = StreamPipeline;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StreamPipeline;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
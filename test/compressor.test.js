@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WavCodec = require('../wav.js');
+const { FakeAudioBuffer, loadScripts, sineChannels } = require('./helpers.js');
+
+const load = loadScripts(['wav.js', 'loader.js', 'compressor.js']);
+const AudioLoader = load('AudioLoader');
+const AudioCompressor = load('AudioCompressor');
+const compressor = new AudioCompressor(new AudioLoader());
+
+test('五个压缩等级逐级降低音质', () => {
+    const levels = [1, 2, 3, 4, 5].map(level => compressor.getQualitySettings(level));
+    levels.forEach((settings, i) => {
+        assert.ok(settings, `缺少等级 ${i + 1}`);
+        if (i === 0) return;
+        const previous = levels[i - 1];
+        assert.ok(settings.sampleRate <= previous.sampleRate);
+        assert.ok(settings.bitDepth <= previous.bitDepth);
+        assert.ok(settings.distortion >= previous.distortion);
+    });
+    assert.strictEqual(compressor.getQualitySettings(6), undefined);
+});
+
+test('makeDistortionCurve 单调递增且关于原点对称', () => {
+    [20, 50].forEach(amount => {
+        const curve = compressor.makeDistortionCurve(amount);
+        for (let i = 1; i < curve.length; i++) {
+            assert.ok(curve[i] > curve[i - 1], `amount ${amount} 在 ${i} 处不单调`);
+        }
+        assert.ok(Math.abs(curve[1] + curve[curve.length - 1]) < 1e-3);
+    });
+});
+
+test('reduceBitDepth 只保留 2^bits 个电平', () => {
+    [1, 2, 3].forEach(bits => {
+        const data = sineChannels(1, 4000, 1)[0];
+        compressor.reduceBitDepth(data, bits);
+        assert.strictEqual(new Set(data).size, Math.pow(2, bits));
+        data.forEach(sample => assert.ok(Math.abs(sample) < 1));
+    });
+});
+
+test('验证文件期间取消时不再继续处理', async () => {
+    let decoded = false;
+    const loader = {
+        validateFile: async () => cancelling.cancel(),
+        shouldStream: () => false,
+        decodeFile: async () => {
+            decoded = true;
+            return new FakeAudioBuffer({ channels: sineChannels(1, 100), sampleRate: 22050 });
+        }
+    };
+    const cancelling = new AudioCompressor(loader);
+
+    await assert.rejects(cancelling.compressAudio({ name: 'a.wav' }, 1, () => {}), error => error.name === 'AbortError');
+    assert.strictEqual(decoded, false);
+});
+
+for (const level of [1, 2, 3, 4, 5]) {
+    test(`等级 ${level} 输出可解码的 IMA-ADPCM WAV`, async () => {
+        const settings = compressor.getQualitySettings(level);
+        const channels = settings.mono ? 1 : 2;
+        const buffer = new FakeAudioBuffer({ channels: sineChannels(channels, 2500), sampleRate: settings.sampleRate });
+        const blob = compressor.audioBufferToBlob(buffer, settings);
+        const arrayBuffer = await blob.arrayBuffer();
+        const view = new DataView(arrayBuffer);
+
+        assert.strictEqual(blob.type, 'audio/wav');
+        assert.strictEqual(view.getUint16(20, true), 0x0011);
+        assert.strictEqual(view.getUint16(22, true), channels);
+        assert.strictEqual(view.getUint32(24, true), settings.sampleRate);
+        assert.strictEqual(view.getUint32(48, true), 2500);
+
+        const decoded = WavCodec.decode(arrayBuffer);
+        assert.strictEqual(decoded.sampleRate, settings.sampleRate);
+        assert.strictEqual(decoded.channels.length, channels);
+        assert.strictEqual(decoded.channels[0].length, 2500);
+    });
+}
@@ -0,0 +1,358 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DamageDSP = require('../dsp.js');
+const { sineChannels, checksum } = require('./helpers.js');
+
+const SAMPLE_RATE = 22050;
+const GOLDEN_FILE = path.join(__dirname, 'golden', 'effects.json');
+
+// 单级效果整段渲染
+function render(type, { intensity = 5, seed = 1234, channels = 2, length = 8192, ...extra } = {}) {
+    const data = sineChannels(channels, length);
+    const settings = { seed, chain: [DamageDSP.createStage(type, intensity)], ...extra };
+    return DamageDSP.processChannels(data, settings, SAMPLE_RATE);
+}
+
+for (const type of Object.keys(DamageDSP.effects)) {
+    test(`${type}：输出为有限值且在 ±1 之内`, () => {
+        for (const intensity of [1, 5, 10]) {
+            render(type, { intensity }).forEach(data => {
+                data.forEach(sample => {
+                    assert.ok(Number.isFinite(sample) && Math.abs(sample) <= 1, `强度 ${intensity} 输出 ${sample}`);
+                });
+            });
+        }
+    });
+
+    test(`${type}：相同种子结果完全一致`, () => {
+        assert.strictEqual(checksum(render(type)), checksum(render(type)));
+    });
+}
+
+test('含随机成分的效果随种子变化', () => {
+    ['glitch', 'radio', 'cassette', 'noise', 'crackle', 'packetloss'].forEach(type => {
+        assert.notStrictEqual(checksum(render(type, { seed: 1 })), checksum(render(type, { seed: 2 })), type);
+    });
+});
+
+test('crushed 量化到 2^bits 个电平', () => {
+    for (const intensity of [1, 5, 10]) {
+        const levels = Math.pow(2, Math.max(1, 16 - intensity * 0.3));
+        render('crushed', { intensity }).forEach(data => {
+            data.forEach(sample => {
+                const steps = sample * levels;
+                assert.ok(Math.abs(steps - Math.round(steps)) < 0.01, `强度 ${intensity} 样本 ${sample} 不在量化电平上`);
+            });
+        });
+    }
+});
+
+// 直接驱动单个效果的逐样本处理器
+function runEffect(type, params, { intensity = 5, seed = 1, input = sineChannels(1, SAMPLE_RATE)[0] } = {}) {
+    const stage = DamageDSP.createStage(type, intensity);
+    stage.params = { ...stage.params, ...params };
+    const process = DamageDSP.effects[type].create(stage, { sampleRate: SAMPLE_RATE, random: DamageDSP.createRandom(seed) });
+    return Float64Array.from(input, sample => process(sample));
+}
+
+// 输出对齐 delay 个样本后的信噪比 (dB)
+function snr(input, output, delay) {
+    let signal = 0;
+    let error = 0;
+    for (let i = delay * 2; i < output.length; i++) {
+        signal += input[i - delay] ** 2;
+        error += (output[i] - input[i - delay]) ** 2;
+    }
+    return 10 * Math.log10(signal / error);
+}
+
+test('STFT 不做修改时完美重建（延迟一帧）', () => {
+    const input = sineChannels(1, SAMPLE_RATE)[0];
+    const output = runEffect('packetloss', { loss: 0 }, { input });
+    assert.ok(snr(input, output, DamageDSP.stftSize(SAMPLE_RATE, 0.02)) > 100);
+});
+
+test('packetloss 丢包处补偿衰减，关闭补偿时为静音', () => {
+    const input = sineChannels(1, SAMPLE_RATE)[0];
+    const silent = runEffect('packetloss', { loss: 0.5, burst: 0.5, conceal: 0 }, { intensity: 10, input });
+    const hop = DamageDSP.stftSize(SAMPLE_RATE, 0.02) / 2;
+    let dropped = 0;
+    for (let i = hop * 4; i + hop <= input.length; i += hop) {
+        if (silent.subarray(i, i + hop).every(sample => Math.abs(sample) < 1e-9)) dropped++;
+    }
+    assert.ok(dropped > 0);
+    assert.notDeepStrictEqual(runEffect('packetloss', { loss: 0.5, conceal: 1 }, { intensity: 10, input }), silent);
+});
+
+test('codec 码率越高失真越小，且去掉截止频率以上的成分', () => {
+    const input = sineChannels(1, SAMPLE_RATE)[0];
+    const delay = DamageDSP.stftSize(SAMPLE_RATE, 0.023);
+    const low = snr(input, runEffect('codec', { kbps: 8 }, { input }), delay);
+    const high = snr(input, runEffect('codec', { kbps: 128 }, { input }), delay);
+    assert.ok(high > low + 10, `${low} → ${high}`);
+
+    // 8kbps 时截止约 3.9kHz，8kHz 正弦几乎完全消失
+    const tone = Float64Array.from({ length: SAMPLE_RATE }, (_, i) => 0.5 * Math.sin(2 * Math.PI * 8000 * i / SAMPLE_RATE));
+    const output = runEffect('codec', { kbps: 8 }, { input: tone });
+    assert.ok(DamageDSP.peak([output.subarray(delay * 2)]) < 0.01);
+});
+
+test('有延迟的效果：区域淡变、自动化与立体声强度的干湿混合逐样本对齐，尾部完整输出', () => {
+    // 丢包率为0时 packetloss 只经过 STFT 重建，对齐正确时任何干湿比例的混合都等于原声
+    const length = SAMPLE_RATE;
+    const original = sineChannels(2, length);
+    const stage = DamageDSP.createStage('packetloss', 5);
+    stage.params = { ...stage.params, loss: 0 };
+    const settings = {
+        seed: 1,
+        chain: [stage],
+        regions: [{ start: 0.2, end: 0.7 }],
+        fade: 0.1,
+        automation: { enabled: true, points: [{ t: 0, v: 0.2, curve: 'linear' }, { t: 1, v: 1, curve: 'linear' }] },
+        stereo: { ...DamageDSP.createStereo(), intensity: [0.5, 1] }
+    };
+    const processed = DamageDSP.processChannels(sineChannels(2, length), settings, SAMPLE_RATE);
+
+    assert.strictEqual(DamageDSP.createRenderer(settings, SAMPLE_RATE, 2, length).latency, DamageDSP.stftSize(SAMPLE_RATE, 0.02));
+    processed.forEach((data, channel) => {
+        assert.strictEqual(data.length, length);
+        for (let i = 0; i < length; i++) {
+            assert.ok(Math.abs(data[i] - original[channel][i]) < 1e-5, `声道 ${channel} 样本 ${i}: ${data[i]} ≠ ${original[channel][i]}`);
+        }
+    });
+});
+
+test('传输曲线查找表与 WaveShaperNode 语义一致', () => {
+    const table = DamageDSP.curveTable([{ x: -1, y: -1 }, { x: 1, y: 1 }], 5);
+    assert.deepStrictEqual([...table], [-1, -0.5, 0, 0.5, 1]);
+    assert.strictEqual(DamageDSP.applyCurve(table, 0.25), 0.25);
+    assert.strictEqual(DamageDSP.applyCurve(table, 2), 1);
+    assert.strictEqual(DamageDSP.applyCurve(table, -3), -1);
+
+    // 折线：中间控制点处取控制点的值，之间线性插值
+    const hard = DamageDSP.curveTable([{ x: -1, y: -0.5 }, { x: -0.5, y: -0.5 }, { x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }], 9);
+    assert.deepStrictEqual([...hard], [-0.5, -0.5, -0.5, -0.25, 0, 0.25, 0.5, 0.5, 0.5]);
+});
+
+test('shaper 直通曲线在强度5时不改变信号，强度越高削波越多', () => {
+    const input = sineChannels(1, 2048)[0];
+    const stage = DamageDSP.createStage('shaper', 5);
+    stage.curve = [{ x: -1, y: -1 }, { x: 1, y: 1 }];
+    const [unity] = DamageDSP.processChannels([new Float32Array(input)], { seed: 1, chain: [stage] }, SAMPLE_RATE);
+    unity.forEach((sample, i) => assert.ok(Math.abs(sample - input[i]) < 1e-6));
+
+    stage.intensity = 10;
+    stage.curve = [{ x: -1, y: -0.3 }, { x: -0.3, y: -0.3 }, { x: 0.3, y: 0.3 }, { x: 1, y: 0.3 }];
+    const [clipped] = DamageDSP.processChannels([new Float32Array(input)], { seed: 1, chain: [stage] }, SAMPLE_RATE);
+    assert.ok(Math.abs(DamageDSP.peak([clipped]) - 0.3) < 1e-6);
+});
+
+test('脚本效果：没有编译函数时注册为直通，重新注册时移除旧脚本', () => {
+    DamageDSP.registerScripts([{ type: 'script-a', label: '甲', code: 'function process(x) { return 0; }' }]);
+    const input = sineChannels(1, 512);
+    const settings = { seed: 1, chain: [DamageDSP.createStage('script-a', 5)] };
+    assert.deepStrictEqual(DamageDSP.processChannels(sineChannels(1, 512), settings, SAMPLE_RATE), input);
+
+    DamageDSP.registerScripts([{ type: 'script-b', label: '乙', code: '' }], () => () => 0);
+    assert.strictEqual(DamageDSP.effects['script-a'], undefined);
+    settings.chain[0].type = 'script-b';
+    assert.ok(DamageDSP.processChannels(sineChannels(1, 512), settings, SAMPLE_RATE)[0].every(sample => sample === 0));
+
+    DamageDSP.registerScripts([]);
+    assert.ok(Object.values(DamageDSP.effects).every(effect => !effect.script));
+});
+
+test('旁通的效果级不改变信号', () => {
+    const original = sineChannels(1, 1024);
+    const stage = DamageDSP.createStage('digital', 10);
+    stage.bypass = true;
+    const processed = DamageDSP.processChannels(sineChannels(1, 1024), { seed: 1, chain: [stage] }, SAMPLE_RATE);
+    assert.deepStrictEqual(processed[0], original[0]);
+});
+
+test('立体声：默认设置与各声道独立处理逐样本一致', () => {
+    const plain = render('radio', { length: 20000 });
+    const stereo = render('radio', { length: 20000, stereo: DamageDSP.createStereo() });
+    assert.strictEqual(checksum(stereo), checksum(plain));
+});
+
+test('立体声：效果级只作用于指定声道', () => {
+    const original = sineChannels(2, 4096);
+    const stage = DamageDSP.createStage('digital', 10);
+    stage.channel = 1;
+    const processed = DamageDSP.processChannels(sineChannels(2, 4096), { seed: 1, chain: [stage] }, SAMPLE_RATE);
+    assert.deepStrictEqual(processed[0], original[0]);
+    assert.notDeepStrictEqual(processed[1], original[1]);
+
+    // 单声道时忽略声道指定
+    const mono = DamageDSP.processChannels(sineChannels(1, 4096), { seed: 1, chain: [stage] }, SAMPLE_RATE);
+    assert.notDeepStrictEqual(mono[0], original[0]);
+});
+
+test('立体声：M/S 模式只损坏两侧时中置不变', () => {
+    const original = sineChannels(2, 8192, 0.2);
+    const settings = {
+        seed: 1,
+        chain: [DamageDSP.createStage('digital', 10)],
+        stereo: { ...DamageDSP.createStereo(), mode: 'ms', intensity: [0, 1] }
+    };
+    const processed = DamageDSP.processChannels(sineChannels(2, 8192, 0.2), settings, SAMPLE_RATE);
+
+    let sideChanged = false;
+    for (let i = 0; i < 8192; i++) {
+        const mid = (original[0][i] + original[1][i]) / 2;
+        assert.ok(Math.abs((processed[0][i] + processed[1][i]) / 2 - mid) < 1e-6);
+        sideChanged ||= Math.abs((processed[0][i] - processed[1][i]) - (original[0][i] - original[1][i])) > 0.01;
+    }
+    assert.ok(sideChanged);
+});
+
+test('立体声：随机掉线与坏耳机', () => {
+    const length = SAMPLE_RATE * 4;
+    const original = sineChannels(2, length);
+    const run = (stereo) => DamageDSP.processChannels(sineChannels(2, length), { seed: 3, chain: [], stereo: { ...DamageDSP.createStereo(), ...stereo } }, SAMPLE_RATE);
+
+    // 掉线期间该声道静音
+    const dropped = run({ dropout: 1 });
+    const silent = dropped.some(data => {
+        for (let i = 0; i + 1000 <= length; i += 500) {
+            if (data.subarray(i, i + 1000).every(sample => Math.abs(sample) < 1e-3)) return true;
+        }
+        return false;
+    });
+    assert.ok(silent);
+
+    // 坏耳机只影响一侧
+    const earbud = run({ earbud: 1, earbudSide: 1 });
+    assert.deepStrictEqual(earbud[0], original[0]);
+    assert.notDeepStrictEqual(earbud[1], original[1]);
+});
+
+test('旧版设置转换为效果链', () => {
+    const settings = DamageDSP.normalizeSettings({ type: 'crushed', intensity: 7, noise: true, crackle: false, seed: 9 });
+    assert.deepStrictEqual(settings.chain.map(stage => [stage.type, stage.intensity]), [['crushed', 7], ['noise', 7]]);
+    assert.strictEqual(settings.seed, 9);
+});
+
+test('区域外保持原声', () => {
+    const original = sineChannels(1, SAMPLE_RATE);
+    const processed = render('digital', {
+        channels: 1,
+        length: SAMPLE_RATE,
+        intensity: 10,
+        regions: [{ start: 0.5, end: 0.75 }],
+        fade: 0.01
+    });
+    assert.strictEqual(processed[0][1000], original[0][1000]);
+    assert.notStrictEqual(processed[0][Math.round(SAMPLE_RATE * 0.6)], original[0][Math.round(SAMPLE_RATE * 0.6)]);
+});
+
+test('自动化包络为0处保持原声', () => {
+    const original = sineChannels(1, 4096);
+    const automation = { enabled: true, points: [{ t: 0, v: 0, curve: 'linear' }, { t: 1, v: 1, curve: 'linear' }] };
+    const processed = render('digital', { channels: 1, length: 4096, intensity: 10, automation });
+    assert.strictEqual(processed[0][0], original[0][0]);
+    assert.notStrictEqual(processed[0][4000], original[0][4000]);
+});
+
+// 金样：固定种子下各效果输出的摘要；算法有意改动后用 UPDATE_GOLDEN=1 重新生成
+test('各效果输出与金样一致', () => {
+    const actual = {};
+    Object.keys(DamageDSP.effects).forEach(type => {
+        actual[type] = checksum(render(type, { intensity: 7 }));
+    });
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(GOLDEN_FILE, `${JSON.stringify(actual, null, 2)}\n`);
+    }
+
+    assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8')));
+});
+
+test('导出：混缩与重采样', () => {
+    const channels = [new Float32Array(44100).fill(0.2), new Float32Array(44100).fill(0.6)];
+    const result = DamageDSP.prepareExport(channels, 44100, { sampleRate: 8000, mono: true });
+
+    assert.strictEqual(result.sampleRate, 8000);
+    assert.strictEqual(result.channels.length, 1);
+    assert.strictEqual(result.channels[0].length, 8000);
+    assert.ok(Math.abs(result.channels[0][4000] - 0.4) < 1e-4);
+    assert.strictEqual(channels[0][0], Math.fround(0.2), '不应改动原数据');
+});
+
+test('导出：降采样滤除新奈奎斯特频率以上的成分', () => {
+    const tone = new Float32Array(44100);
+    for (let i = 0; i < tone.length; i++) tone[i] = 0.5 * Math.sin(2 * Math.PI * 6000 * i / 44100);
+    const [output] = DamageDSP.prepareExport([tone], 44100, { sampleRate: 8000 }).channels;
+    assert.ok(DamageDSP.peak([output.subarray(100, 7900)]) < 0.05);
+});
+
+// 1kHz 正弦，幅度 0.1（−20 dBFS）
+function tone(sampleRate, seconds, amplitude = 0.1) {
+    return Float32Array.from({ length: Math.round(sampleRate * seconds) }, (_, i) => amplitude * Math.sin(2 * Math.PI * 1000 * i / sampleRate));
+}
+
+test('响度：1kHz −20 dBFS 单声道为 −23 LUFS，双声道 +3 LU', () => {
+    [44100, 48000].forEach(sampleRate => {
+        const mono = DamageDSP.measureLoudness([tone(sampleRate, 2)], sampleRate);
+        assert.ok(Math.abs(mono.lufs + 23) < 0.1, `${sampleRate}: ${mono.lufs}`);
+        assert.ok(Math.abs(mono.rms - 0.1 / Math.SQRT2) < 1e-4);
+        assert.ok(Math.abs(mono.peak - 0.1) < 1e-4);
+
+        const stereo = DamageDSP.measureLoudness([tone(sampleRate, 2), tone(sampleRate, 2)], sampleRate);
+        assert.ok(Math.abs(stereo.lufs - mono.lufs - 3.01) < 0.05);
+    });
+});
+
+test('响度：门限排除静音段，分段测量与整段一致', () => {
+    const sound = tone(SAMPLE_RATE, 2);
+    const padded = new Float32Array(SAMPLE_RATE * 6);
+    padded.set(sound, SAMPLE_RATE * 2);
+    const whole = DamageDSP.measureLoudness([padded], SAMPLE_RATE);
+    // 只有与声音部分重叠的边缘块计入，不设门限时会低约 4.8 LU
+    assert.ok(Math.abs(whole.lufs - DamageDSP.measureLoudness([sound], SAMPLE_RATE).lufs) < 1);
+    assert.strictEqual(DamageDSP.measureLoudness([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE).lufs, -Infinity);
+
+    const meter = DamageDSP.createLoudnessMeter(SAMPLE_RATE, 1);
+    [1000, 1001, 30000, padded.length].reduce((offset, end) => {
+        meter.push([padded.subarray(offset, end)]);
+        return end;
+    }, 0);
+    assert.deepStrictEqual(meter.result(), whole);
+});
+
+test('导出：响度匹配使输出与原声响度相同', () => {
+    const original = sineChannels(2, SAMPLE_RATE * 2, 0.1);
+    const reference = DamageDSP.measureLoudness(original, SAMPLE_RATE);
+    const damaged = DamageDSP.processChannels(sineChannels(2, SAMPLE_RATE * 2, 0.1), { seed: 1, chain: [DamageDSP.createStage('digital', 10)] }, SAMPLE_RATE);
+    assert.ok(DamageDSP.measureLoudness(damaged, SAMPLE_RATE).lufs > reference.lufs + 3);
+
+    const { channels } = DamageDSP.prepareExport(damaged, SAMPLE_RATE, { level: 'match', reference });
+    assert.ok(Math.abs(DamageDSP.measureLoudness(channels, SAMPLE_RATE).lufs - reference.lufs) < 0.1);
+});
+
+test('导出：响度匹配在混缩与重采样之后测量', () => {
+    // 440Hz 左右反相、9kHz 同相：混缩后只剩 9kHz，降到 8kHz 采样率后只剩 440Hz，两种导出的响度都与双声道原样不同
+    const tone = (frequency, sign) => Float32Array.from({ length: SAMPLE_RATE * 2 }, (_, i) => sign * 0.3 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+    const mix = (a, b) => a.map((sample, i) => sample + b[i]);
+    const damaged = [mix(tone(440, 1), tone(9000, 1)), mix(tone(440, -1), tone(9000, 1))];
+    const reference = DamageDSP.measureLoudness(sineChannels(2, SAMPLE_RATE * 2, 0.1), SAMPLE_RATE);
+
+    [{ mono: true }, { sampleRate: 8000 }, { mono: true, sampleRate: 44100 }].forEach(options => {
+        const prepared = DamageDSP.prepareExport(damaged, SAMPLE_RATE, { ...options, level: 'match', reference });
+        const lufs = DamageDSP.measureLoudness(prepared.channels, prepared.sampleRate).lufs;
+        assert.ok(Math.abs(lufs - reference.lufs) < 0.2, `${JSON.stringify(options)}: ${lufs} ≠ ${reference.lufs}`);
+    });
+});
+
+test('导出：归一化与峰值限制', () => {
+    const quiet = [sineChannels(1, 4096, 0.25)[0]];
+    const normalized = DamageDSP.prepareExport(quiet, SAMPLE_RATE, { level: 'normalize', ceiling: 0.9 }).channels;
+    assert.ok(Math.abs(DamageDSP.peak(normalized) - 0.9) < 1e-6);
+
+    const loud = [sineChannels(1, 4096, 1.5)[0]];
+    const limited = DamageDSP.prepareExport(loud, SAMPLE_RATE, { level: 'limit', ceiling: 0.9 }).channels;
+    assert.ok(DamageDSP.peak(limited) <= 0.9 + 1e-6);
+});
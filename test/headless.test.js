@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const { WavCodec, damageWav, damageWavFile } = require('../headless.js');
+const { ROOT, sineChannels } = require('./helpers.js');
+
+const input = () => Buffer.from(WavCodec.encodePcm16(sineChannels(2, 4000), 16000));
+
+test('damageWav 保持采样率、声道与长度', () => {
+    const output = WavCodec.decode(damageWav(input(), { type: 'crushed', intensity: 8, seed: 3 }));
+    assert.strictEqual(output.sampleRate, 16000);
+    assert.strictEqual(output.channels.length, 2);
+    assert.strictEqual(output.channels[0].length, 4000);
+});
+
+test('damageWavFile 与 damageWav 输出一致', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yjjz-'));
+    try {
+        const source = path.join(dir, 'in.wav');
+        const output = path.join(dir, 'out.wav');
+        fs.writeFileSync(source, input());
+
+        const settings = { type: 'radio', intensity: 6, noise: true, seed: 9 };
+        ['normalize', 'match'].forEach(level => {
+            const exportOptions = { bitDepth: 24, sampleRate: 22050, level, info: { ISFT: 'test' } };
+            const progress = [];
+            const loudness = damageWavFile(source, output, settings, exportOptions, value => progress.push(value));
+
+            const expected = Buffer.from(damageWav(input(), settings, null, exportOptions));
+            assert.ok(fs.readFileSync(output).equals(expected), level);
+            assert.strictEqual(progress[progress.length - 1], 1);
+            assert.ok(Number.isFinite(loudness.input.lufs) && Number.isFinite(loudness.output.lufs));
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('命令行：同一种子输出相同文件', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yjjz-'));
+    try {
+        const source = path.join(dir, 'in.wav');
+        fs.writeFileSync(source, input());
+
+        const run = (output) => execFileSync(process.execPath, [
+            path.join(ROOT, 'bin', 'yjjz-damage.js'), source, '-t', 'radio,crushed', '-i', '7', '--noise', '-s', '42', '-o', output
+        ], { stdio: 'pipe' });
+
+        run(path.join(dir, 'a.wav'));
+        run(path.join(dir, 'b.wav'));
+        assert.ok(fs.readFileSync(path.join(dir, 'a.wav')).equals(fs.readFileSync(path.join(dir, 'b.wav'))));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('命令行：输出路径与输入相同时替换源文件而不是截断', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yjjz-'));
+    try {
+        const source = path.join(dir, 'in.wav');
+        const run = (output) => execFileSync(process.execPath, [
+            path.join(ROOT, 'bin', 'yjjz-damage.js'), source, '-t', 'radio', '-s', '5', '-o', output
+        ], { stdio: 'pipe' });
+
+        fs.writeFileSync(source, input());
+        run(path.join(dir, 'expected.wav'));
+        const expected = fs.readFileSync(path.join(dir, 'expected.wav'));
+
+        // 写法不同但指向同一文件
+        [source, path.join(dir, '.', 'sub', '..', 'in.wav')].forEach(output => {
+            fs.mkdirSync(path.join(dir, 'sub'), { recursive: true });
+            fs.writeFileSync(source, input());
+            run(output);
+            assert.ok(fs.readFileSync(source).equals(expected), output);
+        });
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['expected.wav', 'in.wav', 'sub']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('命令行：未知效果时以非零状态退出', () => {
+    assert.throws(() => execFileSync(process.execPath, [path.join(ROOT, 'bin', 'yjjz-damage.js'), 'x.wav', '-t', 'nope'], { stdio: 'pipe' }));
+});
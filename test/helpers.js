@@ -0,0 +1,179 @@
+// 测试辅助：在 Node 中加载浏览器脚本，并提供最小的 AudioBuffer 替身
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// 只实现处理与编码路径用到的接口
+class FakeAudioBuffer {
+    constructor({ numberOfChannels = 1, length = 0, sampleRate = 44100, channels = null }) {
+        this.channels = channels || Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+        this.numberOfChannels = this.channels.length;
+        this.length = this.channels.length ? this.channels[0].length : 0;
+        this.sampleRate = sampleRate;
+    }
+
+    get duration() {
+        return this.length / this.sampleRate;
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+
+    copyToChannel(source, channel) {
+        this.channels[channel].set(source);
+    }
+}
+
+// 只支持 readAsArrayBuffer，供 AudioLoader.fileToAudioBuffer 使用
+class FakeFileReader {
+    readAsArrayBuffer(blob) {
+        blob.arrayBuffer().then(
+            result => this.onload({ target: { result } }),
+            () => this.onerror()
+        );
+    }
+}
+
+// IndexedDB 的最小替身：只实现 ProjectLibrary 用到的接口，数据存在内存里
+// 请求结果与事务提交都异步回调；记录做浅拷贝，Blob/File 按引用保存
+class FakeIndexedDB {
+    constructor() {
+        this.databases = new Map();
+    }
+
+    open(name) {
+        const request = {};
+        setTimeout(() => {
+            const created = !this.databases.has(name);
+            if (created) this.databases.set(name, new FakeDatabase());
+            request.result = this.databases.get(name);
+            if (created && request.onupgradeneeded) request.onupgradeneeded();
+            request.onsuccess();
+        });
+        return request;
+    }
+}
+
+class FakeDatabase {
+    constructor() {
+        this.stores = new Map();
+    }
+
+    createObjectStore(name, { keyPath, autoIncrement = false }) {
+        const store = { keyPath, autoIncrement, nextKey: 1, records: new Map(), indexes: new Map() };
+        this.stores.set(name, store);
+        return { createIndex: (indexName, path) => store.indexes.set(indexName, path) };
+    }
+
+    transaction(names) {
+        return new FakeTransaction(this, [].concat(names));
+    }
+}
+
+class FakeTransaction {
+    constructor(db, names) {
+        this.db = db;
+        this.names = names;
+        this.pending = 0;
+        this.finished = false;
+        this.error = null;
+        this.settle();
+    }
+
+    objectStore(name) {
+        if (!this.names.includes(name)) throw new Error(`store ${name} 不在事务范围内`);
+        const store = this.db.stores.get(name);
+        const copy = (value) => value && { ...value };
+        const matching = (path, key) => [...store.records.entries()].filter(([, value]) => value[path] === key);
+        return {
+            add: (value) => this.request(() => {
+                const key = store.autoIncrement ? store.nextKey++ : value[store.keyPath];
+                store.records.set(key, { ...value, [store.keyPath]: key });
+                return key;
+            }),
+            put: (value) => this.request(() => {
+                store.records.set(value[store.keyPath], copy(value));
+                return value[store.keyPath];
+            }),
+            get: (key) => this.request(() => copy(store.records.get(key))),
+            getAll: () => this.request(() => [...store.records.values()].map(copy)),
+            delete: (key) => this.request(() => {
+                store.records.delete(key);
+            }),
+            index: (indexName) => ({
+                getAll: (key) => this.request(() => matching(store.indexes.get(indexName), key).map(([, value]) => copy(value))),
+                getAllKeys: (key) => this.request(() => matching(store.indexes.get(indexName), key).map(([primary]) => primary))
+            })
+        };
+    }
+
+    request(run) {
+        const request = {};
+        this.pending++;
+        setTimeout(() => {
+            request.result = run();
+            if (request.onsuccess) request.onsuccess();
+            this.pending--;
+            this.settle();
+        });
+        return request;
+    }
+
+    // 没有待完成的请求时提交
+    settle() {
+        setTimeout(() => {
+            if (this.pending || this.finished) return;
+            this.finished = true;
+            if (this.oncomplete) this.oncomplete();
+        });
+    }
+}
+
+// 按 index.html 中的顺序执行经典脚本，返回可取出顶层 class 的求值函数
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console,
+        Blob,
+        TextEncoder,
+        TextDecoder,
+        document: { addEventListener() {} },
+        window: {},
+        ...globals
+    });
+    context.globalThis = context;
+
+    files.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+
+    return (expression) => vm.runInContext(expression, context);
+}
+
+// 可复现的测试信号：正弦叠加，幅度不超过 amplitude
+function sineChannels(numberOfChannels, length, amplitude = 0.8) {
+    return Array.from({ length: numberOfChannels }, (_, channel) => {
+        const data = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            data[i] = amplitude * (0.6 * Math.sin(i / (7 + channel)) + 0.4 * Math.sin(i / 53));
+        }
+        return data;
+    });
+}
+
+// FNV-1a 摘要：金样对比时只存摘要，不存整段音频
+function checksum(channels) {
+    let hash = 0x811C9DC5;
+    channels.forEach(data => {
+        const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        for (let i = 0; i < bytes.length; i++) {
+            hash = Math.imul(hash ^ bytes[i], 0x01000193);
+        }
+    });
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+module.exports = { ROOT, FakeAudioBuffer, FakeFileReader, FakeIndexedDB, loadScripts, sineChannels, checksum };
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveObjectURL } = require('buffer');
+const { loadScripts } = require('./helpers.js');
+
+const RenderHistory = loadScripts(['history.js'], { URL })('RenderHistory');
+
+const source = new Blob(['input']);
+const render = (text) => ({ label: text, source, result: { blob: new Blob([text]), name: `${text}.wav` } });
+const alive = (url) => resolveObjectURL(url) !== undefined;
+
+test('撤销与重做在版本之间移动', () => {
+    const history = new RenderHistory();
+    const opened = history.reset({ label: '打开', source });
+    const first = history.push(render('a'));
+    const second = history.push(render('b'));
+
+    assert.strictEqual(opened.result, null);
+    assert.strictEqual(history.current, second);
+    assert.strictEqual(history.undo(), first);
+    assert.strictEqual(history.undo(), opened);
+    assert.strictEqual(history.canUndo, false);
+    assert.strictEqual(history.undo(), opened);
+    assert.strictEqual(history.redo(), first);
+    assert.strictEqual(history.goTo(second.id), second);
+    assert.strictEqual(history.canRedo, false);
+});
+
+test('撤销后再处理会丢弃重做分支并释放 URL', () => {
+    const history = new RenderHistory();
+    history.reset({ label: '打开', source });
+    history.push(render('a'));
+    const dropped = history.push(render('b'));
+    const url = history.urlFor(dropped);
+    assert.ok(alive(url));
+
+    history.undo();
+    history.push(render('c'));
+    assert.ok(!alive(url));
+    assert.deepStrictEqual([...history.versions].map(version => version.label), ['打开', 'a', 'c']);
+    assert.strictEqual(history.canRedo, false);
+});
+
+test('超出上限时丢弃最早的版本', () => {
+    const history = new RenderHistory(3);
+    const oldest = history.reset({ label: '打开', source });
+    const url = history.urlFor(oldest);
+    ['a', 'b', 'c'].forEach(text => history.push(render(text)));
+
+    assert.deepStrictEqual([...history.versions].map(version => version.label), ['a', 'b', 'c']);
+    assert.strictEqual(history.current.label, 'c');
+    assert.ok(!alive(url));
+});
+
+test('重新编码或清空时释放旧 URL', () => {
+    const history = new RenderHistory();
+    const version = history.reset(render('a'));
+    const first = history.urlFor(version);
+    assert.strictEqual(history.urlFor(version), first);
+
+    history.replaceBlob(version, new Blob(['a2']), 'a2.wav');
+    assert.ok(!alive(first));
+    assert.strictEqual(version.result.name, 'a2.wav');
+
+    const second = history.urlFor(version);
+    assert.notStrictEqual(second, first);
+    history.clear();
+    assert.ok(!alive(second));
+    assert.strictEqual(history.current, null);
+});
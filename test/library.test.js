@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeIndexedDB, loadScripts } = require('./helpers.js');
+
+const ProjectLibrary = loadScripts(['library.js'])('ProjectLibrary');
+
+const source = (name, text = 'RIFF') => new File([text], name, { type: 'audio/wav' });
+const render = (label, text) => ({ label, blob: new Blob([text]), name: `${label}.wav`, mode: 'distortion', seed: 7 });
+
+test('项目保存源文件，渲染结果累计到项目上', async () => {
+    const library = new ProjectLibrary(new FakeIndexedDB());
+    const project = await library.addProject(source('歌曲.mp3', 'abcd'));
+    assert.strictEqual(project.name, '歌曲');
+    assert.strictEqual(project.renderCount, 0);
+
+    const settings = { chain: [{ type: 'digital', intensity: 5, bypass: false, params: {} }] };
+    await library.addRender(project.id, render('第一版', 'xx'));
+    await library.addRender(project.id, { ...render('第二版', 'yyy'), settings });
+
+    const { project: stored, renders } = await library.get(project.id);
+    assert.strictEqual(stored.source.name, '歌曲.mp3');
+    assert.strictEqual(await stored.source.text(), 'abcd');
+    assert.strictEqual(stored.renderCount, 2);
+    assert.strictEqual(stored.size, 4 + 2 + 3);
+    assert.deepStrictEqual(stored.settings, settings);
+    assert.deepStrictEqual(renders.map(entry => entry.label), ['第一版', '第二版']);
+    assert.strictEqual(await renders[1].blob.text(), 'yyy');
+    assert.strictEqual(renders[0].settings, null);
+});
+
+test('搜索匹配名称或源文件名，最近更新的在前', async () => {
+    const library = new ProjectLibrary(new FakeIndexedDB());
+    const first = await library.addProject(source('Intro.wav'));
+    const second = await library.addProject(source('voice.wav'), '旁白');
+    await library.addRender(first.id, render('a', 'a'));
+
+    await library.rename(second.id, '旁白 录音');
+    const all = await library.list();
+    assert.deepStrictEqual(all.map(project => project.id).sort(), [first.id, second.id].sort());
+    assert.ok(all[0].updated >= all[1].updated);
+
+    assert.deepStrictEqual((await library.list('intro')).map(project => project.id), [first.id]);
+    assert.deepStrictEqual((await library.list('VOICE')).map(project => project.name), ['旁白 录音']);
+    assert.deepStrictEqual(await library.list('不存在'), []);
+});
+
+test('删除项目时一并删除它的渲染结果', async () => {
+    const library = new ProjectLibrary(new FakeIndexedDB());
+    const kept = await library.addProject(source('a.wav'));
+    const removed = await library.addProject(source('b.wav'));
+    await library.addRender(kept.id, render('保留', 'k'));
+    await library.addRender(removed.id, render('删除', 'r'));
+
+    await library.remove(removed.id);
+    assert.strictEqual(await library.get(removed.id), null);
+    assert.deepStrictEqual((await library.list()).map(project => project.id), [kept.id]);
+    assert.strictEqual((await library.get(kept.id)).renders.length, 1);
+
+    const db = await library.open();
+    assert.strictEqual(db.stores.get('renders').records.size, 1);
+});
+
+test('同一数据库重新打开后数据仍在', async () => {
+    const indexedDB = new FakeIndexedDB();
+    const project = await new ProjectLibrary(indexedDB).addProject(source('持久.wav'));
+    const reopened = new ProjectLibrary(indexedDB);
+    assert.strictEqual((await reopened.get(project.id)).project.name, '持久');
+});
+
+test('没有 IndexedDB 时标记为不可用，存储估算返回 null', async () => {
+    const library = new ProjectLibrary(undefined);
+    assert.strictEqual(library.available, false);
+    assert.strictEqual(await library.estimate(), null);
+    assert.strictEqual(await library.persist(), false);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeAudioBuffer, FakeFileReader, loadScripts, sineChannels } = require('./helpers.js');
+
+const evaluate = loadScripts(['wav.js', 'segment-reader.js', 'loader.js'], { FileReader: FakeFileReader });
+const AudioLoader = evaluate('AudioLoader');
+const WavCodec = evaluate('WavCodec');
+
+// 试解码用的音频上下文：解码结果固定，或按 fail 拒绝
+const context = (fail = null) => ({
+    decodeAudioData: async () => {
+        if (fail) throw new Error(fail);
+        return new FakeAudioBuffer({ numberOfChannels: 2, length: 44100, sampleRate: 44100 });
+    }
+});
+
+const bytes = (...parts) => new Uint8Array(parts.flatMap(part => typeof part === 'string'
+    ? part.split('').map(char => char.charCodeAt(0))
+    : part));
+const padded = (head) => {
+    const data = new Uint8Array(64);
+    data.set(head);
+    return data;
+};
+const ogg = (codec, offset) => {
+    const data = padded(bytes('OggS'));
+    data.set(bytes(codec), offset);
+    return data;
+};
+
+const SAMPLES = {
+    wav: new Uint8Array(WavCodec.encodePcm16(sineChannels(1, 100), 8000)),
+    mp3: padded(bytes([0xFF, 0xFB, 0x90, 0x64])),
+    id3: padded(bytes('ID3', [3, 0, 0, 0, 0, 0, 0xFF, 0xFB, 0x90, 0x64])),
+    aac: padded(bytes([0xFF, 0xF1, 0x50, 0x80])),
+    flac: padded(bytes('fLaC')),
+    opus: ogg('OpusHead', 28),
+    vorbis: ogg('vorbis', 29),
+    mp4: padded(bytes([0, 0, 0, 0x20], 'ftypM4A ')),
+    webm: padded(bytes([0x1A, 0x45, 0xDF, 0xA3]))
+};
+
+// size 可以大于实际内容，模拟超大文件
+const file = (data, type = '', size = data.length, name = 'test') => {
+    const blob = new Blob([data], { type });
+    return { name, type, size, slice: (start, end) => blob.slice(start, end), arrayBuffer: () => blob.arrayBuffer() };
+};
+
+test('按文件头识别格式', () => {
+    const expected = { wav: 'wav', mp3: 'mp3', id3: 'mp3', aac: 'aac', flac: 'flac', opus: 'opus', vorbis: 'vorbis', mp4: 'mp4', webm: 'webm' };
+    Object.entries(expected).forEach(([name, id]) => {
+        assert.strictEqual(AudioLoader.sniffFormat(SAMPLES[name]).id, id, name);
+    });
+    assert.strictEqual(AudioLoader.sniffFormat(padded(bytes('%PDF-1.4'))), null);
+});
+
+test('ID3 标签后按实际帧头识别', () => {
+    const data = padded(bytes('ID3', [3, 0, 0, 0, 0, 0, 0], 'fLaC'));
+    assert.strictEqual(AudioLoader.sniffFormat(data).id, 'flac');
+});
+
+test('类型为空的音频按内容通过并返回格式报告', async () => {
+    const report = await new AudioLoader(context()).validateFile(file(SAMPLES.flac));
+    assert.strictEqual(report.format.label, 'FLAC');
+    assert.strictEqual(report.reportedType, '');
+    assert.strictEqual(report.sampleRate, 44100);
+    assert.strictEqual(report.numberOfChannels, 2);
+    assert.strictEqual(report.duration, 1);
+    assert.strictEqual(report.streaming, false);
+});
+
+test('改了扩展名的非音频文件报错', async () => {
+    const loader = new AudioLoader(context());
+    await assert.rejects(loader.validateFile(file(padded(bytes('%PDF-1.4')), 'audio/mpeg')), /无法识别的文件格式（浏览器报告类型: audio\/mpeg）/);
+    await assert.rejects(loader.validateFile(file(new Uint8Array(0), 'audio/wav')), /文件为空/);
+});
+
+test('试解码失败时说明原因', async () => {
+    const loader = new AudioLoader(context('Unable to decode audio data'));
+    await assert.rejects(loader.validateFile(file(SAMPLES.mp3, 'audio/mpeg')), /MP3 文件无法解码：文件可能已损坏或被截断/);
+});
+
+test('超过50MB的 WAV 走分段处理', async () => {
+    const loader = new AudioLoader(context());
+    const large = file(SAMPLES.wav, '', 51 * 1024 * 1024);
+    const report = await loader.validateFile(large);
+    assert.strictEqual(report.streaming, true);
+    assert.strictEqual(report.sampleRate, 8000);
+    assert.strictEqual(loader.shouldStream(large), true);
+
+    const small = file(SAMPLES.wav, 'audio/wav');
+    await loader.validateFile(small);
+    assert.strictEqual(loader.shouldStream(small), false);
+});
+
+test('超过50MB的其他格式报错', async () => {
+    const loader = new AudioLoader(context());
+    await assert.rejects(loader.validateFile(file(SAMPLES.vorbis, 'audio/ogg', 51 * 1024 * 1024)), /文件过大 \(51\.0MB\).*该文件为 Ogg Vorbis/);
+    // Node 中没有 WebCodecs，MP3 不能分段解码
+    await assert.rejects(loader.validateFile(file(SAMPLES.mp3, 'audio/mpeg', 51 * 1024 * 1024)), /仅支持WAV格式/);
+});
+
+test('WAV 分段读取与整段解码一致', async () => {
+    const channels = sineChannels(2, 800000);
+    const encoded = WavCodec.encode(channels, 22050, { bitDepth: 24 });
+    const whole = WavCodec.decode(encoded);
+    const loader = new AudioLoader(context());
+    const blob = new Blob([encoded], { type: 'audio/wav' });
+    await loader.validateFile(blob);
+    const source = await loader.openSegments(blob);
+
+    assert.strictEqual(source.sampleRate, 22050);
+    assert.strictEqual(source.numberOfChannels, 2);
+    assert.strictEqual(source.length, 800000);
+
+    const parts = [];
+    for await (const segment of source.segments()) parts.push(segment);
+    assert.ok(parts.length > 1);
+    [0, 1].forEach(channel => {
+        const joined = new Float32Array(800000);
+        let offset = 0;
+        parts.forEach(segment => {
+            joined.set(segment[channel], offset);
+            offset += segment[channel].length;
+        });
+        assert.strictEqual(offset, 800000);
+        assert.deepStrictEqual(joined, new Float32Array(whole.channels[channel]));
+    });
+});
+
+test('视频文件解码音轨，放宽大小上限', async () => {
+    const loader = new AudioLoader(context());
+    const clip = file(SAMPLES.mp4, 'video/mp4', 120 * 1024 * 1024);
+    const report = await loader.validateFile(clip);
+    assert.strictEqual(report.video, true);
+    assert.strictEqual(report.streaming, false);
+
+    const untyped = await loader.validateFile(file(SAMPLES.webm, '', 1024, 'clip.MKV'));
+    assert.strictEqual(untyped.video, true);
+    assert.strictEqual(untyped.format.id, 'webm');
+
+    await assert.rejects(loader.validateFile(file(SAMPLES.mp4, 'video/mp4', 501 * 1024 * 1024)), /视频文件过大 \(501\.0MB\)/);
+});
+
+test('视频解码失败时提示可能没有音轨', async () => {
+    const loader = new AudioLoader(context('EncodingError'));
+    await assert.rejects(loader.validateFile(file(SAMPLES.webm, 'video/webm')), /容器内可能没有音轨/);
+});
+
+test('取消错误带有 AbortError 名称', () => {
+    assert.strictEqual(AudioLoader.createAbortError().name, 'AbortError');
+});
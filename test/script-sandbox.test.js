@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DamageDSP = require('../dsp.js');
+const fs = require('fs');
+const path = require('path');
+const UserScriptSandbox = require('../script-sandbox.js');
+const { ROOT, loadScripts, sineChannels } = require('./helpers.js');
+
+const SAMPLE_RATE = 22050;
+const compile = (script, stage, context) => UserScriptSandbox.compile(script, stage, context);
+
+// 注册一个脚本效果并处理一段信号
+function runScript(code, { channels = 1, length = 1024, intensity = 5 } = {}) {
+    const script = { type: 'script-test', label: '测试', code };
+    DamageDSP.registerScripts([script], compile);
+    try {
+        const settings = { seed: 1, chain: [DamageDSP.createStage(script.type, intensity)] };
+        return DamageDSP.processChannels(sineChannels(channels, length), settings, SAMPLE_RATE);
+    } finally {
+        DamageDSP.registerScripts([]);
+    }
+}
+
+test('逐样本脚本：收到强度与采样率，state 按声道独立', () => {
+    const [left, right] = runScript(`
+        function process(x, ctx) {
+            ctx.state.count = (ctx.state.count || 0) + 1;
+            return ctx.state.count === 1 ? ctx.sampleRate / 1e5 : x * ctx.intensity / 10;
+        }
+    `, { channels: 2, intensity: 4 });
+    const input = sineChannels(2, 1024);
+
+    [left, right].forEach((output, channel) => {
+        assert.strictEqual(output[0], Math.fround(SAMPLE_RATE / 1e5));
+        assert.ok(Math.abs(output[100] - input[channel][100] * 0.4) < 1e-6);
+    });
+});
+
+test('按块脚本：每次处理 BLOCK_SIZE 个样本，晚一块的延迟由渲染器补偿', () => {
+    const block = UserScriptSandbox.BLOCK_SIZE;
+    const process = UserScriptSandbox.compile({ label: '测试', code: 'function processBlock(block) {}' }, { intensity: 5 }, { sampleRate: SAMPLE_RATE, random: Math.random });
+    assert.strictEqual(process.latency, block);
+
+    const [output] = runScript(`
+        function processBlock(block) {
+            for (let i = 0; i < block.length; i++) block[i] = -block[i];
+        }
+    `);
+    const input = sineChannels(1, 1024)[0];
+    for (let i = 0; i < output.length; i++) {
+        assert.strictEqual(output[i], -input[i]);
+    }
+});
+
+test('非有限的输出按 0 处理', () => {
+    const [output] = runScript('function process(x) { return x > 0 ? NaN : Infinity; }');
+    output.forEach(sample => assert.strictEqual(sample, 0));
+});
+
+test('编译与运行错误带上效果名', () => {
+    assert.throws(() => runScript('function process(x) {'), /脚本效果「测试」编译失败/);
+    assert.throws(() => runScript('const y = 1;'), /需要定义/);
+    assert.throws(() => runScript('function process(x) { return missing; }'), /脚本效果「测试」运行出错: missing is not defined/);
+    assert.throws(() => runScript('function process(x) { import("data:text/javascript,"); return x; }'), /不允许使用 import/);
+    // import 与括号之间夹注释或换行也是合法的动态导入
+    ['import/**/("data:text/javascript,")', 'import //\n("data:text/javascript,")', 'import\n\t("x")', 'import /* ( */ ("x")'].forEach(call => {
+        assert.throws(() => runScript(`function process(x) { ${call}; return x; }`), /不允许使用 import/, call);
+        assert.throws(() => UserScriptSandbox.check({ label: '测试', code: `function process(x) { ${call}; return x; }` }), /不允许使用 import/, call);
+    });
+});
+
+test('页面线程只做检查，不执行脚本', () => {
+    const check = (code, label = '检查') => UserScriptSandbox.check({ label, code });
+    check('throw new Error("不应执行"); function process(x) { return x; }');
+    check('function processBlock(block, ctx) {}');
+    assert.throws(() => check('function process(x) { return x; }', ' '), /名称/);
+    assert.throws(() => check('function other(x) { return x; }'), /需要定义/);
+    assert.throws(() => check('function process(x) { return x'), /编译失败/);
+});
+
+test('lockdown 屏蔽全局及原型链上的接口，保留绑定好的 postMessage', () => {
+    const sent = [];
+    const load = loadScripts(['script-sandbox.js'], { fetch: () => 'fetched', indexedDB: {} });
+    const scope = load(`
+        const proto = { postMessage(message) { this.sent.push(message); }, importScripts() {} };
+        const scope = Object.create(proto);
+        scope.sent = [];
+        scope.fetch = globalThis.fetch;
+        scope;
+    `);
+    scope.sent = sent;
+
+    const post = load('UserScriptSandbox').lockdown(scope);
+    assert.strictEqual(scope.fetch, undefined);
+    assert.strictEqual(scope.postMessage, undefined);
+    assert.strictEqual(Object.getPrototypeOf(scope).postMessage, undefined);
+    assert.strictEqual(scope.importScripts, undefined);
+    post('hello');
+    assert.deepStrictEqual(sent, ['hello']);
+
+    // 锁定的是所在环境的全局：同一环境里编译的脚本拿不到 fetch，也无法借 constructor 拿回 Function
+    load('UserScriptSandbox').lockdown(load('globalThis'));
+    assert.strictEqual(load('typeof fetch'), 'undefined');
+    const probe = { type: 'script-probe', label: '探测', code: `
+        function process(x) {
+            return (typeof fetch === 'undefined' ? 1 : 0) + (typeof Function === 'undefined' ? 1 : 0)
+                + ((function () {}).constructor === undefined ? 1 : 0);
+        }
+    ` };
+    const process = load('UserScriptSandbox').compile(probe, { intensity: 5 }, { sampleRate: SAMPLE_RATE, random: Math.random });
+    assert.strictEqual(process(0), 3);
+});
+
+// 在 vm 里载入真正的 distortion-worker.js：importScripts 读仓库里的文件，post 出的消息记在 messages 里
+function loadWorker() {
+    const messages = [];
+    const listeners = [];
+    const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const load = loadScripts([], {
+        importScripts: (...files) => files.forEach(file => load(read(file))),
+        postMessage: (message) => messages.push(message),
+        addEventListener: (type, listener) => listeners.push(listener)
+    });
+    load('globalThis.self = globalThis;');
+    load(read('distortion-worker.js'));
+    return { load, messages, send: (data) => listeners.forEach(listener => listener({ data })) };
+}
+
+test('Worker 里的脚本改不了 DamageDSP，也拿不到 Worker 自己的状态', () => {
+    const tamper = { type: 'script-tamper', label: '篡改', code: `
+        function process(x) {
+            const attempts = [
+                () => { DamageDSP.processChannels = () => 'hacked'; },
+                () => { DamageDSP.effects.digital.create = null; },
+                () => { DamageDSP.registerEffect('evil', { create: () => () => 0 }); },
+                () => { StreamPipeline.prototype.push = null; },
+                () => { UserScriptSandbox.compile = null; },
+                () => { globalThis.DamageDSP = {}; },
+                () => { post({ type: 'done', forged: true }); },
+                () => { pipeline = null; }
+            ];
+            attempts.forEach(attempt => { try { attempt(); } catch (error) {} });
+            return x;
+        }
+    ` };
+    const settings = { seed: 1, chain: [DamageDSP.createStage(tamper.type, 5)], scripts: [tamper] };
+
+    const worker = loadWorker();
+    worker.send({ channels: sineChannels(1, 256), settings, sampleRate: SAMPLE_RATE });
+    const done = worker.messages.filter(message => message.type === 'done');
+    assert.strictEqual(done.length, 1);
+    assert.strictEqual(done[0].forged, undefined);
+    assert.strictEqual(worker.load('Object.isFrozen(DamageDSP) && Object.isFrozen(DamageDSP.effects)'), true);
+    assert.strictEqual(worker.load('DamageDSP.effects.evil'), undefined);
+    assert.strictEqual(worker.load('typeof DamageDSP.effects.digital.create'), 'function');
+    assert.strictEqual(worker.load('typeof StreamPipeline.prototype.push'), 'function');
+    assert.ok(!worker.load('String(DamageDSP.processChannels)').includes('hacked'));
+
+    // 分段处理在创建流水线（编译脚本）之前冻结，之后的分段照常回复
+    const stream = loadWorker();
+    stream.send({ type: 'stream-start', settings, sampleRate: SAMPLE_RATE, numberOfChannels: 1, length: 8192 });
+    stream.send({ type: 'stream-chunk', channels: sineChannels(1, 8192) });
+    stream.send({ type: 'stream-end' });
+    assert.deepStrictEqual(stream.messages.map(message => message.type), ['ready', 'chunk', 'end']);
+    assert.strictEqual(stream.load('Object.isFrozen(DamageDSP.effects)'), true);
+});
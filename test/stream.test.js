@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DamageDSP = require('../dsp.js');
+const WavCodec = require('../wav.js');
+const StreamPipeline = require('../stream.js');
+const { sineChannels } = require('./helpers.js');
+
+const SAMPLE_RATE = 22050;
+const LENGTH = 30000;
+const SETTINGS = DamageDSP.normalizeSettings({
+    seed: 11,
+    chain: [DamageDSP.createStage('radio', 6), DamageDSP.createStage('codec', 5), DamageDSP.createStage('crackle', 4)],
+    regions: [{ start: 0.2, end: 0.9 }],
+    fade: 0.05,
+    stereo: { mode: 'ms', intensity: [0.5, 1], dropout: 1, earbud: 0.6, earbudSide: 1 },
+    automation: { enabled: true, points: [{ t: 0, v: 0.2, curve: 'linear' }, { t: 1, v: 1, curve: 'exp' }] }
+});
+
+// 整段处理的参考结果
+function inMemory(exportOptions) {
+    const channels = sineChannels(2, LENGTH);
+    const reference = DamageDSP.measureLoudness(channels, SAMPLE_RATE);
+    DamageDSP.processChannels(channels, structuredClone(SETTINGS), SAMPLE_RATE);
+    const prepared = DamageDSP.prepareExport(channels, SAMPLE_RATE, { ...exportOptions, reference });
+    return Buffer.from(WavCodec.encode(prepared.channels, prepared.sampleRate, exportOptions));
+}
+
+// 按不规则长度切段送入流水线
+function streamed(exportOptions, sizes) {
+    const source = sineChannels(2, LENGTH);
+    const options = { settings: structuredClone(SETTINGS), sampleRate: SAMPLE_RATE, numberOfChannels: 2, length: LENGTH, exportOptions };
+
+    let gain = 1;
+    const run = (pipeline) => {
+        const parts = [];
+        for (let offset = 0, i = 0; offset < LENGTH; i++) {
+            const end = Math.min(LENGTH, offset + sizes[i % sizes.length]);
+            parts.push(pipeline.push(source.map(data => data.slice(offset, end))));
+            offset = end;
+        }
+        parts.push(pipeline.finish());
+        return parts;
+    };
+
+    if (['normalize', 'match'].includes(exportOptions.level)) {
+        const measure = new StreamPipeline({ ...options, measureOnly: true });
+        run(measure);
+        const { input, rendered } = measure.loudness();
+        gain = exportOptions.level === 'match' ? DamageDSP.matchGain(input, rendered) : 0.98 / measure.peak;
+    }
+
+    const pipeline = new StreamPipeline({ ...options, gain });
+    const parts = run(pipeline);
+    return Buffer.concat([pipeline.header(), ...parts].map(bytes => Buffer.from(bytes)));
+}
+
+test('分段处理与整段处理逐字节一致', () => {
+    [
+        {},
+        { bitDepth: 8, sampleRate: 8000, mono: true, level: 'limit' },
+        { bitDepth: 24, sampleRate: 48000, level: 'normalize', info: { ISFT: 'test', ICMT: '{}' } },
+        { sampleRate: 11025, mono: true, level: 'match' },
+        { mono: true, level: 'match' },
+        { sampleRate: 8000, level: 'match' }
+    ].forEach(exportOptions => {
+        assert.ok(streamed(exportOptions, [5000, 1, 9000, 4096]).equals(inMemory(exportOptions)), JSON.stringify(exportOptions));
+    });
+});
+
+test('8位奇数长度时补齐字节', () => {
+    const options = { settings: structuredClone(SETTINGS), sampleRate: SAMPLE_RATE, numberOfChannels: 1, length: 101 };
+    const pipeline = new StreamPipeline({ ...options, exportOptions: { bitDepth: 8 } });
+    const data = pipeline.push([new Float32Array(101)]).byteLength + pipeline.finish().byteLength;
+    assert.strictEqual(pipeline.frames, 101);
+    assert.strictEqual(data, 102);
+
+    const header = new Uint8Array(pipeline.header());
+    const file = new Uint8Array(header.length + data).fill(128);
+    file.set(header);
+    assert.strictEqual(WavCodec.decode(file.buffer).channels[0].length, 101);
+});
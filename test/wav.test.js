@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WavCodec = require('../wav.js');
+const { FakeAudioBuffer, loadScripts, sineChannels } = require('./helpers.js');
+
+const load = loadScripts(['dsp.js', 'wav.js', 'loader.js', 'app.js']);
+const DistortionEngine = load('DistortionEngine');
+
+function readString(view, offset, length) {
+    return String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+}
+
+for (const [numberOfChannels, sampleRate] of [[1, 44100], [2, 48000], [1, 11025], [2, 22051]]) {
+    test(`bufferToWav 文件头：${numberOfChannels} 声道 / ${sampleRate}Hz`, async () => {
+        const length = 1001;
+        const buffer = new FakeAudioBuffer({ channels: sineChannels(numberOfChannels, length), sampleRate });
+        const blob = new DistortionEngine().bufferToWav(buffer);
+        const view = new DataView(await blob.arrayBuffer());
+        const dataLength = length * numberOfChannels * 2;
+
+        assert.strictEqual(blob.type, 'audio/wav');
+        assert.strictEqual(view.byteLength, 44 + dataLength);
+        assert.strictEqual(readString(view, 0, 4), 'RIFF');
+        assert.strictEqual(view.getUint32(4, true), 36 + dataLength);
+        assert.strictEqual(readString(view, 8, 4), 'WAVE');
+        assert.strictEqual(readString(view, 12, 4), 'fmt ');
+        assert.strictEqual(view.getUint32(16, true), 16);
+        assert.strictEqual(view.getUint16(20, true), 1);
+        assert.strictEqual(view.getUint16(22, true), numberOfChannels);
+        assert.strictEqual(view.getUint32(24, true), sampleRate);
+        assert.strictEqual(view.getUint32(28, true), sampleRate * numberOfChannels * 2);
+        assert.strictEqual(view.getUint16(32, true), numberOfChannels * 2);
+        assert.strictEqual(view.getUint16(34, true), 16);
+        assert.strictEqual(readString(view, 36, 4), 'data');
+        assert.strictEqual(view.getUint32(40, true), dataLength);
+    });
+}
+
+test('16位 PCM 写入后解码还原', () => {
+    const channels = sineChannels(2, 2000);
+    const decoded = WavCodec.decode(WavCodec.encodePcm16(channels, 32000));
+
+    assert.strictEqual(decoded.sampleRate, 32000);
+    assert.strictEqual(decoded.channels.length, 2);
+    decoded.channels.forEach((data, channel) => {
+        assert.strictEqual(data.length, 2000);
+        for (let i = 0; i < data.length; i++) {
+            assert.ok(Math.abs(data[i] - channels[channel][i]) < 1 / 16384);
+        }
+    });
+});
+
+test('超出 ±1 的样本写入时限幅', () => {
+    const decoded = WavCodec.decode(WavCodec.encodePcm16([Float32Array.from([2, -2, 0.5])], 8000));
+    assert.ok(Math.abs(decoded.channels[0][0] - 1) < 1e-3);
+    assert.ok(Math.abs(decoded.channels[0][1] + 1) < 1e-3);
+});
+
+test('IMA-ADPCM 写入后解码：长度按 fact 块截断，误差收敛', () => {
+    const channels = sineChannels(2, 3000, 0.5);
+    const decoded = WavCodec.decode(WavCodec.encodeImaAdpcm(channels, 11025));
+
+    assert.strictEqual(decoded.sampleRate, 11025);
+    decoded.channels.forEach((data, channel) => {
+        assert.strictEqual(data.length, 3000);
+        // 步长索引从0起步，跳过开头的收敛段
+        for (let i = 500; i < data.length; i++) {
+            assert.ok(Math.abs(data[i] - channels[channel][i]) < 0.02, `样本 ${i} 误差过大`);
+        }
+    });
+});
+
+test('解码 24 位 PCM 与 32 位浮点', () => {
+    const header = (tag, bits, dataLength) => {
+        const view = new DataView(new ArrayBuffer(44 + dataLength));
+        const write = (offset, string) => [...string].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+        write(0, 'RIFF');
+        view.setUint32(4, 36 + dataLength, true);
+        write(8, 'WAVE');
+        write(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, tag, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, 8000, true);
+        view.setUint16(32, bits / 8, true);
+        view.setUint16(34, bits, true);
+        write(36, 'data');
+        view.setUint32(40, dataLength, true);
+        return view;
+    };
+
+    const pcm24 = header(1, 24, 6);
+    [0x400000, -0x400000].forEach((value, i) => {
+        pcm24.setUint8(44 + i * 3, value & 0xFF);
+        pcm24.setUint8(45 + i * 3, (value >> 8) & 0xFF);
+        pcm24.setUint8(46 + i * 3, (value >> 16) & 0xFF);
+    });
+    assert.deepStrictEqual(Array.from(WavCodec.decode(pcm24.buffer).channels[0]), [0.5, -0.5]);
+
+    const float32 = header(3, 32, 8);
+    float32.setFloat32(44, 0.25, true);
+    float32.setFloat32(48, -0.75, true);
+    assert.deepStrictEqual(Array.from(WavCodec.decode(float32.buffer).channels[0]), [0.25, -0.75]);
+});
+
+test('非 WAV 数据报错', () => {
+    assert.throws(() => WavCodec.decode(new ArrayBuffer(8)), /不是有效的 WAV 文件/);
+    const riffOnly = new Uint8Array(WavCodec.encodePcm16([new Float32Array(4)], 8000).slice(0, 12));
+    assert.throws(() => WavCodec.decode(riffOnly.buffer), /缺少 fmt 或 data 块/);
+});
+
+for (const bitDepth of [8, 24, 32]) {
+    test(`${bitDepth} 位输出：文件头与还原精度`, () => {
+        const channels = sineChannels(2, 501);
+        const arrayBuffer = WavCodec.encode(channels, 8000, { bitDepth });
+        const view = new DataView(arrayBuffer);
+        const dataLength = 501 * 2 * bitDepth / 8;
+
+        assert.strictEqual(view.getUint16(20, true), bitDepth === 32 ? 3 : 1);
+        assert.strictEqual(view.getUint16(32, true), 2 * bitDepth / 8);
+        assert.strictEqual(view.getUint16(34, true), bitDepth);
+        assert.strictEqual(view.getUint32(40, true), dataLength);
+        assert.strictEqual(arrayBuffer.byteLength % 2, 0);
+
+        const tolerance = bitDepth === 8 ? 1 / 100 : 1e-6;
+        WavCodec.decode(arrayBuffer).channels.forEach((data, channel) => {
+            assert.strictEqual(data.length, 501);
+            for (let i = 0; i < data.length; i++) {
+                assert.ok(Math.abs(data[i] - channels[channel][i]) < tolerance);
+            }
+        });
+    });
+}
+
+test('LIST/INFO 块记录设置且不影响音频数据', () => {
+    const info = { ISFT: '全损音质生成器', ICMT: '{"seed":1}' };
+    const decoded = WavCodec.decode(WavCodec.encode(sineChannels(1, 100), 8000, { info }));
+    assert.deepStrictEqual(decoded.info, info);
+    assert.strictEqual(decoded.channels[0].length, 100);
+});
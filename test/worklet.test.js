@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DamageDSP = require('../dsp.js');
+const { loadScripts, sineChannels } = require('./helpers.js');
+
+// AudioWorkletGlobalScope 的最小替身：只登记处理器类
+const processors = {};
+loadScripts(['preview-worklet.js'], {
+    DamageDSP,
+    sampleRate: 48000,
+    AudioWorkletProcessor: class {
+        constructor() {
+            this.port = {};
+        }
+    },
+    registerProcessor: (name, processor) => { processors[name] = processor; }
+});
+
+const quantum = (value) => [[new Float32Array(128).fill(value)]];
+
+test('实时处理：输入增益后经限制器不超过上限', () => {
+    const live = new processors['damage-live']();
+    live.port.onmessage({ data: { settings: { seed: 1, chain: [DamageDSP.createStage('crushed', 3)] } } });
+    live.port.onmessage({ data: { inputGain: 8, ceiling: 0.5, bypass: false } });
+
+    const output = [[new Float32Array(128)]];
+    for (let i = 0; i < 10; i++) {
+        live.process(quantum(0.9), output);
+        output[0][0].forEach(sample => assert.ok(Math.abs(sample) <= 0.5 + 1e-6));
+    }
+});
+
+test('实时处理：旁通时只做增益与限制', () => {
+    const live = new processors['damage-live']();
+    live.port.onmessage({ data: { settings: { seed: 1, chain: [DamageDSP.createStage('crushed', 9)] } } });
+    live.port.onmessage({ data: { inputGain: 0.5, ceiling: 1, bypass: true } });
+
+    const output = [[new Float32Array(128)]];
+    live.process(quantum(0.4), output);
+    output[0][0].forEach(sample => assert.strictEqual(sample, Math.fround(0.2)));
+});
+
+// 效果链共用一个随机序列，按块处理时各声道的取用顺序不同，这里只用不含随机成分的效果
+test('试听：逐块处理与离线渲染一致（含立体声处理）', () => {
+    const chain = [DamageDSP.createStage('telephone', 6), DamageDSP.createStage('crushed', 8)];
+    chain[1].channel = 0;
+    const settings = { seed: 5, chain, stereo: { mode: 'ms', intensity: [0.4, 1], dropout: 1, earbud: 0.7, earbudSide: 0 } };
+    const input = sineChannels(2, 128 * 40);
+    const expected = DamageDSP.processChannels(input.map(data => data.slice()), structuredClone(settings), 48000);
+
+    const preview = new processors['damage-preview']();
+    preview.port.onmessage({ data: { settings: structuredClone(settings) } });
+    for (let block = 0; block < 40; block++) {
+        const output = [[new Float32Array(128), new Float32Array(128)]];
+        preview.process([input.map(data => data.subarray(block * 128, (block + 1) * 128))], output);
+        output[0].forEach((data, channel) => {
+            assert.deepStrictEqual(new Float32Array(data), expected[channel].subarray(block * 128, (block + 1) * 128));
+        });
+    }
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers.js');
+
+const ZipWriter = loadScripts(['zip.js'])('ZipWriter');
+
+test('CRC32 与标准值一致，可分块连续计算', () => {
+    const data = new TextEncoder().encode('hello world');
+    assert.strictEqual(ZipWriter.crc32(data), 0x0D4A1185);
+    assert.strictEqual(ZipWriter.crc32(data.subarray(5), ZipWriter.crc32(data.subarray(0, 5))), 0x0D4A1185);
+});
+
+test('Blob 分块读取，压缩包里的大小、CRC 与内容正确', async () => {
+    const zip = new ZipWriter();
+    const chunk = ZipWriter.CHUNK_BYTES;
+    ZipWriter.CHUNK_BYTES = 4;
+    try {
+        await zip.addBlob('a.wav', new Blob(['hello world']));
+    } finally {
+        ZipWriter.CHUNK_BYTES = chunk;
+    }
+    zip.add('b.txt', new TextEncoder().encode('xyz'));
+
+    const bytes = new Uint8Array(await zip.toBlob().arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    assert.strictEqual(bytes.length, zip.size);
+    assert.strictEqual(view.getUint32(14, true), 0x0D4A1185);
+    assert.strictEqual(view.getUint32(18, true), 11);
+    assert.strictEqual(new TextDecoder().decode(bytes.subarray(35, 46)), 'hello world');
+
+    const end = new DataView(bytes.buffer, bytes.length - 22);
+    assert.strictEqual(end.getUint32(0, true), 0x06054b50);
+    assert.strictEqual(end.getUint16(10, true), 2);
+    assert.strictEqual(end.getUint32(16, true), 46 + 30 + 5 + 3);
+});
+
+test('超过32位上限时在读取内容之前报错', async () => {
+    const zip = new ZipWriter();
+    const huge = { size: 2 ** 32, slice() { throw new Error('不应读取'); } };
+    await assert.rejects(zip.addBlob('huge.wav', huge), /4GB/);
+    assert.strictEqual(zip.entries.length, 0);
+
+    await zip.addBlob('a.wav', { size: 2 ** 31, slice: () => new Blob([]) });
+    await assert.rejects(zip.addBlob('b.wav', { size: 2 ** 31, slice: () => new Blob([]) }), /4GB/);
+    assert.strictEqual(zip.entries.length, 1);
+});
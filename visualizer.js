@@ -0,0 +1,169 @@
+// 波形与频谱图：对比原声和损坏版到底改变了什么
+class AudioVisualizer {
+    constructor(waveformCanvas, spectrogramCanvas) {
+        this.waveformCanvas = waveformCanvas;
+        this.spectrogramCanvas = spectrogramCanvas;
+        this.fftSize = 1024;
+        this.hann = DamageDSP.hannWindow(this.fftSize);
+        this.waveformCache = null;
+        this.regions = [];
+        this.duration = 0;
+    }
+
+    // 按像素宽度同步画布分辨率，避免高分屏模糊
+    prepareCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.max(1, Math.floor(canvas.clientWidth * ratio));
+        canvas.height = Math.max(1, Math.floor(canvas.clientHeight * ratio));
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        return ctx;
+    }
+
+    // 原声与损坏版叠加显示
+    drawWaveforms(original, processed) {
+        const canvas = this.waveformCanvas;
+        const ctx = this.prepareCanvas(canvas);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        if (original) this.drawWaveform(ctx, canvas, original, 'rgba(0, 255, 255, 0.8)');
+        if (processed) this.drawWaveform(ctx, canvas, processed, 'rgba(255, 0, 110, 0.6)');
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.beginPath();
+        ctx.moveTo(0, canvas.height / 2);
+        ctx.lineTo(canvas.width, canvas.height / 2);
+        ctx.stroke();
+
+        // 缓存波形，拖选区域时只重绘叠加层
+        this.waveformCache = document.createElement('canvas');
+        this.waveformCache.width = canvas.width;
+        this.waveformCache.height = canvas.height;
+        this.waveformCache.getContext('2d').drawImage(canvas, 0, 0);
+        this.drawRegions();
+    }
+
+    setRegions(regions, duration) {
+        this.regions = regions;
+        this.duration = duration;
+        this.drawRegions();
+    }
+
+    // 损坏区域以半透明黄色标出
+    drawRegions() {
+        if (!this.waveformCache) return;
+
+        const canvas = this.waveformCanvas;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(this.waveformCache, 0, 0);
+        if (!this.duration) return;
+
+        this.regions.forEach(region => {
+            const x0 = region.start / this.duration * canvas.width;
+            const x1 = region.end / this.duration * canvas.width;
+            ctx.fillStyle = 'rgba(255, 200, 0, 0.2)';
+            ctx.fillRect(x0, 0, x1 - x0, canvas.height);
+            ctx.strokeStyle = 'rgba(255, 200, 0, 0.8)';
+            ctx.strokeRect(x0 + 0.5, 0.5, Math.max(0, x1 - x0 - 1), canvas.height - 1);
+        });
+    }
+
+    drawWaveform(ctx, canvas, buffer, color) {
+        const width = canvas.width;
+        const mid = canvas.height / 2;
+        const samplesPerPixel = Math.max(1, Math.floor(buffer.length / width));
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+
+        // 每列取所有声道的最小/最大值
+        for (let x = 0; x < width; x++) {
+            const start = x * samplesPerPixel;
+            if (start >= buffer.length) break;
+            const end = Math.min(start + samplesPerPixel, buffer.length);
+
+            let min = 1;
+            let max = -1;
+            channels.forEach(data => {
+                for (let i = start; i < end; i++) {
+                    if (data[i] < min) min = data[i];
+                    if (data[i] > max) max = data[i];
+                }
+            });
+
+            ctx.moveTo(x + 0.5, mid - max * mid);
+            ctx.lineTo(x + 0.5, mid - min * mid);
+        }
+
+        ctx.stroke();
+    }
+
+    drawSpectrogram(buffer) {
+        const canvas = this.spectrogramCanvas;
+        const ctx = this.prepareCanvas(canvas);
+        if (!buffer) return;
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const size = this.fftSize;
+        const bins = size / 2;
+        const mono = this.mixdown(buffer);
+        const hop = Math.max(1, Math.floor((mono.length - size) / width));
+        const image = ctx.createImageData(width, height);
+        const re = new Float32Array(size);
+        const im = new Float32Array(size);
+
+        for (let x = 0; x < width; x++) {
+            const start = x * hop;
+            for (let i = 0; i < size; i++) {
+                re[i] = (mono[start + i] || 0) * this.hann[i];
+                im[i] = 0;
+            }
+            DamageDSP.fft(re, im);
+
+            // 纵轴为线性频率，低频在下
+            for (let y = 0; y < height; y++) {
+                const bin = Math.floor((1 - y / height) * (bins - 1));
+                const magnitude = Math.hypot(re[bin], im[bin]) / bins;
+                const db = 20 * Math.log10(magnitude + 1e-9);
+                const level = Math.max(0, Math.min(1, (db + 100) / 100));
+                const [r, g, b] = this.heatColor(level);
+                const index = (y * width + x) * 4;
+                image.data[index] = r;
+                image.data[index + 1] = g;
+                image.data[index + 2] = b;
+                image.data[index + 3] = 255;
+            }
+        }
+
+        ctx.putImageData(image, 0, 0);
+    }
+
+    mixdown(buffer) {
+        if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+
+        const mono = new Float32Array(buffer.length);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < buffer.length; i++) {
+                mono[i] += data[i] / buffer.numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
+    // 黑 → 紫 → 粉 → 黄 的热力色
+    heatColor(level) {
+        const r = Math.min(255, level * 2 * 255);
+        const g = Math.max(0, (level - 0.5) * 2 * 255);
+        const b = level < 0.5 ? level * 2 * 180 : (1 - level) * 2 * 180;
+        return [r, g, b];
+    }
+}
@@ -0,0 +1,423 @@
+// WAV 编解码：失真与压缩两种模式共用，只依赖 Float32Array，可在页面、Worker 与 Node 中使用
+(function (root) {
+    // IMA-ADPCM 量化表：每个样本编码为4比特
+    const IMA_INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8, -1, -1, -1, -1, 2, 4, 6, 8];
+    const IMA_STEP_TABLE = [
+        7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45,
+        50, 55, 60, 66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230,
+        253, 279, 307, 337, 371, 408, 449, 494, 544, 598, 658, 724, 796, 876, 963,
+        1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066, 2272, 2499, 2749, 3024, 3327,
+        3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442,
+        11487, 12635, 13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794, 32767
+    ];
+
+    const writeString = (view, offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    const SAMPLE_WRITERS = {
+        8: (view, offset, sample) => view.setUint8(offset, 128 + Math.round(sample * 127)),
+        16: (view, offset, sample) => view.setInt16(offset, sample * 0x7FFF, true),
+        24: (view, offset, sample) => {
+            const value = Math.round(sample * 0x7FFFFF);
+            view.setUint8(offset, value & 0xFF);
+            view.setUint8(offset + 1, (value >> 8) & 0xFF);
+            view.setUint8(offset + 2, (value >> 16) & 0xFF);
+        },
+        32: (view, offset, sample) => view.setFloat32(offset, sample, true)
+    };
+
+    const SAMPLE_READERS = {
+        1: {
+            1: (view, offset) => (view.getUint8(offset) - 128) / 128,
+            2: (view, offset) => view.getInt16(offset, true) / 32768,
+            3: (view, offset) => ((view.getUint8(offset + 2) << 24 | view.getUint8(offset + 1) << 16 | view.getUint8(offset) << 8) >> 8) / 8388608,
+            4: (view, offset) => view.getInt32(offset, true) / 2147483648
+        },
+        3: {
+            4: (view, offset) => view.getFloat32(offset, true),
+            8: (view, offset) => view.getFloat64(offset, true)
+        }
+    };
+
+    const WavCodec = {
+        IMA_INDEX_TABLE,
+        IMA_STEP_TABLE,
+
+        channelsOf(buffer) {
+            const channels = [];
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                channels.push(buffer.getChannelData(channel));
+            }
+            return channels;
+        },
+
+        // PCM 8/16/24 位或 32 位浮点，返回 ArrayBuffer
+        // info 为 { ISFT: '...', ICMT: '...' } 等 INFO 字段，写入 LIST 块
+        encode(channels, sampleRate, { bitDepth = 16, info = null } = {}) {
+            const frames = channels.length ? channels[0].length : 0;
+            const header = new Uint8Array(this.encodeHeader({ numChannels: channels.length, sampleRate, bitDepth, frames, info }));
+            const samples = new Uint8Array(this.encodeSamples(channels, bitDepth));
+
+            // 8位奇数长度需补齐到偶数，补齐字节已算进文件头
+            const wav = new Uint8Array(header.length + samples.length + (samples.length & 1));
+            wav.set(header);
+            wav.set(samples, header.length);
+            return wav.buffer;
+        },
+
+        // 文件头（含 LIST 块）；分段输出时先写样本，最后按总帧数生成
+        encodeHeader({ numChannels, sampleRate, bitDepth = 16, frames, info = null }) {
+            if (!SAMPLE_WRITERS[bitDepth]) throw new Error(`不支持的位深: ${bitDepth}`);
+
+            const bytes = bitDepth / 8;
+            const length = frames * numChannels * bytes;
+            const list = info ? this.encodeInfo(info) : null;
+            const listLength = list ? list.length : 0;
+
+            const arrayBuffer = new ArrayBuffer(44 + listLength);
+            const view = new DataView(arrayBuffer);
+
+            writeString(view, 0, 'RIFF');
+            view.setUint32(4, 36 + listLength + length + (length & 1), true);
+            writeString(view, 8, 'WAVE');
+            writeString(view, 12, 'fmt ');
+            view.setUint32(16, 16, true);
+            view.setUint16(20, bitDepth === 32 ? 3 : 1, true);
+            view.setUint16(22, numChannels, true);
+            view.setUint32(24, sampleRate, true);
+            view.setUint32(28, sampleRate * numChannels * bytes, true);
+            view.setUint16(32, numChannels * bytes, true);
+            view.setUint16(34, bitDepth, true);
+            if (list) new Uint8Array(arrayBuffer, 36, listLength).set(list);
+            writeString(view, 36 + listLength, 'data');
+            view.setUint32(40 + listLength, length, true);
+
+            return arrayBuffer;
+        },
+
+        // 交错写入样本数据，超出 ±1 的样本限幅
+        encodeSamples(channels, bitDepth = 16) {
+            const write = SAMPLE_WRITERS[bitDepth];
+            if (!write) throw new Error(`不支持的位深: ${bitDepth}`);
+
+            const numChannels = channels.length;
+            const frames = numChannels ? channels[0].length : 0;
+            const bytes = bitDepth / 8;
+            const arrayBuffer = new ArrayBuffer(frames * numChannels * bytes);
+            const view = new DataView(arrayBuffer);
+
+            let offset = 0;
+            for (let i = 0; i < frames; i++) {
+                for (let channel = 0; channel < numChannels; channel++) {
+                    write(view, offset, Math.max(-1, Math.min(1, channels[channel][i])));
+                    offset += bytes;
+                }
+            }
+
+            return arrayBuffer;
+        },
+
+        encodePcm16(channels, sampleRate) {
+            return this.encode(channels, sampleRate, { bitDepth: 16 });
+        },
+
+        // LIST/INFO 块：字段值按 UTF-8 写入，以 0 结尾并补齐到偶数长度
+        encodeInfo(info) {
+            const encoder = new TextEncoder();
+            const fields = Object.entries(info)
+                .filter(([id, value]) => /^[A-Z0-9]{4}$/.test(id) && value !== undefined && value !== null)
+                .map(([id, value]) => {
+                    const text = encoder.encode(String(value));
+                    const size = text.length + 1;
+                    const field = new Uint8Array(8 + size + (size & 1));
+                    const view = new DataView(field.buffer);
+                    writeString(view, 0, id);
+                    view.setUint32(4, size, true);
+                    field.set(text, 8);
+                    return field;
+                });
+
+            const bodyLength = fields.reduce((sum, field) => sum + field.length, 4);
+            const list = new Uint8Array(8 + bodyLength);
+            const view = new DataView(list.buffer);
+            writeString(view, 0, 'LIST');
+            view.setUint32(4, bodyLength, true);
+            writeString(view, 8, 'INFO');
+
+            let offset = 12;
+            fields.forEach(field => {
+                list.set(field, offset);
+                offset += field.length;
+            });
+            return list;
+        },
+
+        // IMA-ADPCM（格式 0x0011），体积约为16位 PCM 的四分之一
+        encodeImaAdpcm(channels, sampleRate) {
+            const numChannels = channels.length;
+            const frames = numChannels ? channels[0].length : 0;
+            const blockAlign = 256 * numChannels * Math.max(1, Math.floor(sampleRate / 11025));
+            const samplesPerBlock = (blockAlign / numChannels - 4) * 2 + 1;
+            const numBlocks = Math.max(1, Math.ceil(frames / samplesPerBlock));
+            const dataLength = numBlocks * blockAlign;
+
+            const arrayBuffer = new ArrayBuffer(60 + dataLength);
+            const view = new DataView(arrayBuffer);
+
+            writeString(view, 0, 'RIFF');
+            view.setUint32(4, 52 + dataLength, true);
+            writeString(view, 8, 'WAVE');
+            writeString(view, 12, 'fmt ');
+            view.setUint32(16, 20, true);
+            view.setUint16(20, 0x0011, true);
+            view.setUint16(22, numChannels, true);
+            view.setUint32(24, sampleRate, true);
+            view.setUint32(28, Math.floor(sampleRate * blockAlign / samplesPerBlock), true);
+            view.setUint16(32, blockAlign, true);
+            view.setUint16(34, 4, true);
+            view.setUint16(36, 2, true);
+            view.setUint16(38, samplesPerBlock, true);
+            writeString(view, 40, 'fact');
+            view.setUint32(44, 4, true);
+            view.setUint32(48, frames, true);
+            writeString(view, 52, 'data');
+            view.setUint32(56, dataLength, true);
+
+            // 转为16位整数，块尾不足部分补零
+            const pcm = channels.map(data => {
+                const ints = new Int16Array(numBlocks * samplesPerBlock);
+                for (let i = 0; i < data.length; i++) {
+                    ints[i] = Math.max(-1, Math.min(1, data[i])) * 0x7FFF;
+                }
+                return ints;
+            });
+
+            const states = pcm.map(() => ({ predictor: 0, index: 0 }));
+            let offset = 60;
+
+            for (let block = 0; block < numBlocks; block++) {
+                const base = block * samplesPerBlock;
+
+                // 块头：每声道首个样本原样存储 + 步长索引
+                for (let channel = 0; channel < numChannels; channel++) {
+                    const state = states[channel];
+                    state.predictor = pcm[channel][base];
+                    view.setInt16(offset, state.predictor, true);
+                    view.setUint8(offset + 2, state.index);
+                    view.setUint8(offset + 3, 0);
+                    offset += 4;
+                }
+
+                // 其余样本按每声道8个一组（4字节）交错存储，低半字节在前
+                for (let group = 1; group < samplesPerBlock; group += 8) {
+                    for (let channel = 0; channel < numChannels; channel++) {
+                        for (let k = 0; k < 8; k += 2) {
+                            const low = this.encodeImaSample(pcm[channel][base + group + k], states[channel]);
+                            const high = this.encodeImaSample(pcm[channel][base + group + k + 1], states[channel]);
+                            view.setUint8(offset++, low | (high << 4));
+                        }
+                    }
+                }
+            }
+
+            return arrayBuffer;
+        },
+
+        // 解析 WAV：支持 PCM 8/16/24/32 位、32/64 位浮点与 IMA-ADPCM
+        // 返回 { sampleRate, channels: Float32Array[], info }
+        decode(arrayBuffer) {
+            const header = this.decodeHeader(arrayBuffer);
+            const data = new DataView(arrayBuffer, header.dataOffset, header.dataSize);
+
+            // 块尾补零的 ADPCM 样本按 fact 块记录的真实长度截掉
+            const channels = this.decodeSamples(data, header.format)
+                .map(samples => samples.length > header.frames ? samples.slice(0, header.frames) : samples);
+            return { sampleRate: header.format.sampleRate, channels, info: header.info };
+        },
+
+        // 只解析文件头：arrayBuffer 可以只是文件开头的一段，fileSize 为完整文件大小
+        // 返回 { format, dataOffset, dataSize, frames, info }；format.blockSize 为可独立解码的最小字节数
+        decodeHeader(arrayBuffer, fileSize = arrayBuffer.byteLength) {
+            const view = new DataView(arrayBuffer);
+            const readString = (offset, length) => {
+                let string = '';
+                for (let i = 0; i < length; i++) {
+                    string += String.fromCharCode(view.getUint8(offset + i));
+                }
+                return string;
+            };
+
+            if (view.byteLength < 12 || readString(0, 4) !== 'RIFF' || readString(8, 4) !== 'WAVE') {
+                throw new Error('不是有效的 WAV 文件');
+            }
+
+            let format = null;
+            let data = null;
+            let factFrames = null;
+            const info = {};
+            for (let offset = 12; offset + 8 <= view.byteLength && !data;) {
+                const id = readString(offset, 4);
+                const size = view.getUint32(offset + 4, true);
+                const body = offset + 8;
+
+                if (id === 'fmt ') {
+                    format = {
+                        tag: view.getUint16(body, true),
+                        numChannels: view.getUint16(body + 2, true),
+                        sampleRate: view.getUint32(body + 4, true),
+                        blockAlign: view.getUint16(body + 12, true),
+                        bitsPerSample: view.getUint16(body + 14, true)
+                    };
+                    // WAVE_FORMAT_EXTENSIBLE：真实格式在子格式 GUID 的前两个字节
+                    if (format.tag === 0xFFFE && size >= 26) {
+                        format.tag = view.getUint16(body + 24, true);
+                    }
+                } else if (id === 'LIST' && size >= 4 && readString(body, 4) === 'INFO') {
+                    Object.assign(info, this.decodeInfo(view, body + 4, body + size));
+                } else if (id === 'fact' && size >= 4) {
+                    factFrames = view.getUint32(body, true);
+                } else if (id === 'data') {
+                    // 录音中断的文件 data 长度可能超出实际内容
+                    data = { offset: body, size: Math.max(0, Math.min(size, fileSize - body)) };
+                }
+
+                offset = body + size + (size & 1); // 块按偶数字节对齐
+            }
+
+            if (!format || !data) {
+                throw new Error('WAV 文件缺少 fmt 或 data 块');
+            }
+            if (!format.numChannels || !format.sampleRate) {
+                throw new Error('WAV 文件头无效');
+            }
+
+            let frames;
+            if (format.tag === 0x0011) {
+                format.blockSize = format.blockAlign;
+                const samplesPerBlock = (format.blockAlign / format.numChannels - 4) * 2 + 1;
+                frames = Math.floor(data.size / format.blockAlign) * samplesPerBlock;
+                if (factFrames !== null) frames = Math.min(frames, factFrames);
+            } else {
+                const bytes = format.bitsPerSample / 8;
+                if (!SAMPLE_READERS[format.tag] || !SAMPLE_READERS[format.tag][bytes]) {
+                    throw new Error(`不支持的 WAV 编码: 格式 0x${format.tag.toString(16)}，${format.bitsPerSample} 位`);
+                }
+                format.blockSize = bytes * format.numChannels;
+                frames = Math.floor(data.size / format.blockSize);
+            }
+
+            return { format, dataOffset: data.offset, dataSize: data.size, frames, info };
+        },
+
+        // 解码一段 data 块内容（DataView），长度应为 format.blockSize 的整数倍
+        decodeSamples(view, format) {
+            if (format.tag === 0x0011) {
+                return this.decodeImaAdpcm(view, { offset: 0, size: view.byteLength }, format);
+            }
+
+            const bytes = format.bitsPerSample / 8;
+            const read = SAMPLE_READERS[format.tag][bytes];
+            const frames = Math.floor(view.byteLength / format.blockSize);
+            const channels = Array.from({ length: format.numChannels }, () => new Float32Array(frames));
+            for (let i = 0; i < frames; i++) {
+                const frame = i * format.blockSize;
+                for (let channel = 0; channel < format.numChannels; channel++) {
+                    channels[channel][i] = read(view, frame + channel * bytes);
+                }
+            }
+
+            return channels;
+        },
+
+        decodeInfo(view, start, end) {
+            const info = {};
+            const decoder = new TextDecoder();
+            for (let offset = start; offset + 8 <= Math.min(end, view.byteLength);) {
+                const id = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset, 4));
+                const size = view.getUint32(offset + 4, true);
+                const text = new Uint8Array(view.buffer, view.byteOffset + offset + 8, Math.min(size, view.byteLength - offset - 8));
+                info[id] = decoder.decode(text).replace(/\0+$/, '');
+                offset += 8 + size + (size & 1);
+            }
+            return info;
+        },
+
+        decodeImaAdpcm(view, data, format) {
+            const { numChannels, blockAlign } = format;
+            const samplesPerBlock = (blockAlign / numChannels - 4) * 2 + 1;
+            const numBlocks = Math.floor(data.size / blockAlign);
+            const channels = Array.from({ length: numChannels }, () => new Float32Array(numBlocks * samplesPerBlock));
+
+            for (let block = 0; block < numBlocks; block++) {
+                let offset = data.offset + block * blockAlign;
+                const base = block * samplesPerBlock;
+                const states = [];
+
+                for (let channel = 0; channel < numChannels; channel++) {
+                    const state = { predictor: view.getInt16(offset, true), index: Math.min(88, view.getUint8(offset + 2)) };
+                    channels[channel][base] = state.predictor / 32768;
+                    states.push(state);
+                    offset += 4;
+                }
+
+                for (let group = 1; group < samplesPerBlock; group += 8) {
+                    for (let channel = 0; channel < numChannels; channel++) {
+                        for (let k = 0; k < 8; k += 2) {
+                            const byte = view.getUint8(offset++);
+                            channels[channel][base + group + k] = this.decodeImaSample(byte & 0x0F, states[channel]) / 32768;
+                            channels[channel][base + group + k + 1] = this.decodeImaSample(byte >> 4, states[channel]) / 32768;
+                        }
+                    }
+                }
+            }
+
+            return channels;
+        },
+
+        decodeImaSample(nibble, state) {
+            const step = IMA_STEP_TABLE[state.index];
+            let delta = step >> 3;
+            if (nibble & 4) delta += step;
+            if (nibble & 2) delta += step >> 1;
+            if (nibble & 1) delta += step >> 2;
+
+            state.predictor += (nibble & 8) ? -delta : delta;
+            state.predictor = Math.max(-32768, Math.min(32767, state.predictor));
+            state.index = Math.max(0, Math.min(88, state.index + IMA_INDEX_TABLE[nibble]));
+
+            return state.predictor;
+        },
+
+        encodeImaSample(sample, state) {
+            let step = IMA_STEP_TABLE[state.index];
+            let diff = sample - state.predictor;
+            let nibble = 0;
+
+            if (diff < 0) {
+                nibble = 8;
+                diff = -diff;
+            }
+
+            let delta = step >> 3;
+            if (diff >= step) { nibble |= 4; diff -= step; delta += step; }
+            step >>= 1;
+            if (diff >= step) { nibble |= 2; diff -= step; delta += step; }
+            step >>= 1;
+            if (diff >= step) { nibble |= 1; delta += step; }
+
+            state.predictor += (nibble & 8) ? -delta : delta;
+            state.predictor = Math.max(-32768, Math.min(32767, state.predictor));
+            state.index = Math.max(0, Math.min(88, state.index + IMA_INDEX_TABLE[nibble]));
+
+            return nibble;
+        }
+    };
+
+    root.WavCodec = WavCodec;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = WavCodec;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,119 @@
+// 极简 ZIP 打包：仅存储不压缩（WAV 本身几乎压不动），纯前端生成
+// 不写 ZIP64 记录：大小与偏移都是32位，超过 4GB 或 65535 个文件时直接报错
+class ZipWriter {
+    static LIMIT = 0xFFFFFFFF;
+    static MAX_ENTRIES = 0xFFFF;
+    static CHUNK_BYTES = 4 * 1024 * 1024;
+
+    constructor() {
+        this.entries = [];
+        this.size = 22; // 整个压缩包的字节数，初始为中央目录结束记录
+    }
+
+    // 分块读取计算 CRC，内容本身以 Blob 放进压缩包，不整个读进内存
+    async addBlob(name, blob) {
+        const entry = this.reserve(name, blob.size);
+        let crc = 0;
+        for (let offset = 0; offset < blob.size; offset += ZipWriter.CHUNK_BYTES) {
+            const chunk = blob.slice(offset, offset + ZipWriter.CHUNK_BYTES);
+            crc = ZipWriter.crc32(new Uint8Array(await chunk.arrayBuffer()), crc);
+        }
+        this.entries.push({ ...entry, data: blob, crc });
+    }
+
+    add(name, data) {
+        this.entries.push({ ...this.reserve(name, data.length), data, crc: ZipWriter.crc32(data) });
+    }
+
+    // 读取内容之前先检查32位上限：本地文件头 + 内容 + 中央目录项
+    reserve(name, size) {
+        const encoded = new TextEncoder().encode(name);
+        const added = 30 + encoded.length + size + 46 + encoded.length;
+        if (this.entries.length + 1 > ZipWriter.MAX_ENTRIES || this.size + added > ZipWriter.LIMIT) {
+            throw new Error('压缩包超过 ZIP 格式 4GB / 65535 个文件的上限，请分批或逐个下载');
+        }
+        this.size += added;
+        return { name: encoded, size };
+    }
+
+    toBlob() {
+        const parts = [];
+        const central = [];
+        const { time, date } = ZipWriter.dosDateTime(new Date());
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            // 本地文件头
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // 文件名为 UTF-8
+            local.setUint16(8, 0, true);      // 存储
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.size, true);
+            local.setUint32(22, entry.size, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local.buffer, entry.name, entry.data);
+
+            // 中央目录项
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.name.length, true);
+            header.setUint32(42, offset, true);
+            central.push(header.buffer, entry.name);
+
+            offset += 30 + entry.name.length + entry.size;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+        // 中央目录结束记录
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+
+    static dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+
+    // previous 为前面各块的 CRC，可分块连续计算
+    static crc32(data, previous = 0) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}